@@ -0,0 +1,49 @@
+/**
+ * Spatial Hand Tracker - Vendor MediaPipe
+ * Downloads the pinned MediaPipe runtime and models into vendor/mediapipe/,
+ * so a tracker configured with VENDORED_ASSETS never reaches for a CDN.
+ *
+ *     npm run vendor
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CONFIG, VENDORED_ASSETS, MEDIAPIPE_VERSION } from '../src/config.js';
+
+// FilesetResolver picks the SIMD build when the browser supports it; the
+// inference worker needs the ES module build
+const WASM_FILES = [
+    'vision_wasm_internal.js',
+    'vision_wasm_internal.wasm',
+    'vision_wasm_nosimd_internal.js',
+    'vision_wasm_nosimd_internal.wasm',
+    'vision_wasm_module_internal.js',
+    'vision_wasm_module_internal.wasm'
+];
+
+const { assets } = CONFIG;
+const downloads = [
+    [assets.visionBundle, VENDORED_ASSETS.visionBundle],
+    ...WASM_FILES.map(file => [`${assets.wasmPath}/${file}`, `${VENDORED_ASSETS.wasmPath}/${file}`]),
+    [assets.handModel, VENDORED_ASSETS.handModel],
+    [assets.faceModel, VENDORED_ASSETS.faceModel]
+];
+
+// Vendored paths are relative to index.html, which sits at the repo root
+const repoRoot = new URL('../', import.meta.url);
+
+console.log(`Vendoring MediaPipe tasks-vision ${MEDIAPIPE_VERSION}`);
+
+for (const [source, target] of downloads) {
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`${source}: HTTP ${response.status}`);
+    }
+
+    const path = fileURLToPath(new URL(target, repoRoot));
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, Buffer.from(await response.arrayBuffer()));
+
+    console.log(`  ${target}`);
+}
@@ -0,0 +1,116 @@
+/**
+ * Spatial Hand Tracker - Air Tap
+ * Each hand as a pointer on the page: its cursor hovers whatever element is
+ * under it and a pinch clicks it, through synthetic pointer and click events,
+ * so ordinary buttons and the host page's controls work touch-free.
+ */
+
+// Clear of the mouse's pointerId (1) and the small ids browsers give touches
+const POINTER_ID_BASE = 100;
+
+export class AirPointer {
+    // `root` finds the element under a point: a document, or anything with elementFromPoint
+    constructor(root = globalThis.document) {
+        this.root = root;
+        this.pointers = new Map(); // slot -> { x, y, over, pressed, pinching }
+    }
+
+    /**
+     * One frame of a hand: where it points in client pixels and whether it
+     * pinches. A pinch that starts `blocked` (it grabbed an object) isn't a
+     * tap, and neither is its release.
+     */
+    update(slot, { x, y, pinching, blocked = false }) {
+        let pointer = this.pointers.get(slot);
+        if (!pointer) {
+            pointer = { x, y, over: null, pressed: null, pinching: false };
+            this.pointers.set(slot, pointer);
+        }
+        pointer.x = x;
+        pointer.y = y;
+
+        const target = this.root.elementFromPoint(x, y);
+        if (target !== pointer.over) {
+            const previous = pointer.over;
+            pointer.over = target;
+            if (previous) {
+                dispatchPointer(previous, 'pointerout', slot, pointer, { relatedTarget: target });
+                this.syncHover(previous);
+            }
+            if (target) {
+                dispatchPointer(target, 'pointerover', slot, pointer, { relatedTarget: previous });
+                this.syncHover(target);
+            }
+        }
+        if (target) dispatchPointer(target, 'pointermove', slot, pointer);
+
+        if (pinching && !pointer.pinching) {
+            if (target && !blocked) {
+                pointer.pressed = target;
+                dispatchPointer(target, 'pointerdown', slot, pointer);
+            }
+        } else if (!pinching && pointer.pinching && pointer.pressed) {
+            const pressed = pointer.pressed;
+            pointer.pressed = null;
+            dispatchPointer(target ?? pressed, 'pointerup', slot, pointer);
+            // Like a mouse click, it only counts if the hand let go over what it pressed
+            if (target && pressed.contains(target)) dispatchClick(pressed, pointer);
+        }
+        pointer.pinching = pinching;
+    }
+
+    // The hand is gone: whatever it pressed is cancelled and whatever it hovered is left
+    leave(slot) {
+        const pointer = this.pointers.get(slot);
+        if (!pointer) return;
+
+        this.pointers.delete(slot);
+        if (pointer.pressed) {
+            dispatchPointer(pointer.pressed, 'pointercancel', slot, pointer);
+        }
+        if (pointer.over) {
+            dispatchPointer(pointer.over, 'pointerout', slot, pointer);
+            this.syncHover(pointer.over);
+        }
+    }
+
+    leaveAll() {
+        [...this.pointers.keys()].forEach(slot => this.leave(slot));
+    }
+
+    // Synthetic events don't trigger :hover, so hovered elements get a class instead
+    syncHover(element) {
+        const hovered = [...this.pointers.values()].some(pointer => pointer.over === element);
+        element.classList?.toggle('air-hover', hovered);
+    }
+}
+
+function dispatchPointer(target, type, slot, { x, y, pressed }, init = {}) {
+    const EventType = globalThis.PointerEvent ?? globalThis.MouseEvent ?? Event;
+    target.dispatchEvent(new EventType(type, {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        clientX: x,
+        clientY: y,
+        pointerId: POINTER_ID_BASE + slot,
+        pointerType: 'touch',
+        isPrimary: slot === 0,
+        button: type === 'pointerdown' || type === 'pointerup' ? 0 : -1,
+        buttons: pressed ? 1 : 0,
+        ...init
+    }));
+}
+
+// A dispatched click still runs the element's default action, so buttons, checkboxes and labels work
+function dispatchClick(target, { x, y }) {
+    const EventType = globalThis.MouseEvent ?? Event;
+    target.dispatchEvent(new EventType('click', {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        clientX: x,
+        clientY: y,
+        button: 0
+    }));
+}
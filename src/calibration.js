@@ -0,0 +1,121 @@
+/**
+ * Spatial Hand Tracker - Pinch Calibration
+ * A short guided sequence (open hand, pinch, release, a few rounds) that
+ * measures one user's pinch relative to their hand size. The result becomes
+ * `interaction.pinchCalibration`, so the thresholds hold at any distance
+ * from the camera and for any hand.
+ */
+
+import { measurePinch, measureHandSize } from './gestures.js';
+
+export const CALIBRATION_STORAGE_KEY = 'spatial-tracker:calibration';
+
+export const CALIBRATION_PROMPTS = {
+    open: 'Open your hand, fingers spread',
+    pinch: 'Pinch your thumb and index together',
+    release: 'Release the pinch'
+};
+
+// Where the thresholds sit between a closed pinch (0) and an open hand (1)
+const ENGAGE_POINT = 0.3;
+const RELEASE_POINT = 0.5;
+
+// An open hand must be at least this many times wider than a pinch
+const MIN_CONTRAST = 1.5;
+
+export class PinchCalibration {
+    constructor({ rounds = 3, settleFrames = 15, sampleFrames = 20 } = {}) {
+        this.steps = Array.from({ length: rounds }, (_, round) =>
+            Object.keys(CALIBRATION_PROMPTS).map(name => ({ name, round }))
+        ).flat();
+        this.rounds = rounds;
+        // Frames to get into the pose before it's measured
+        this.settleFrames = settleFrames;
+        this.sampleFrames = sampleFrames;
+        this.index = 0;
+        this.frame = 0;
+        this.samples = { open: [], pinch: [] };
+    }
+
+    get done() {
+        return this.index >= this.steps.length;
+    }
+
+    get step() {
+        return this.steps[this.index] ?? null;
+    }
+
+    get progress() {
+        const framesPerStep = this.settleFrames + this.sampleFrames;
+        return Math.min(1, (this.index * framesPerStep + this.frame) / (this.steps.length * framesPerStep));
+    }
+
+    // One frame of the calibrating hand; callers skip frames without a hand
+    addFrame(landmarks) {
+        if (this.done) return;
+
+        this.frame++;
+        if (this.frame > this.settleFrames) {
+            const ratio = measurePinch(landmarks) / Math.max(measureHandSize(landmarks), 1e-6);
+            this.samples[this.step.name === 'pinch' ? 'pinch' : 'open'].push(ratio);
+        }
+
+        if (this.frame >= this.settleFrames + this.sampleFrames) {
+            this.index++;
+            this.frame = 0;
+        }
+    }
+
+    // { pinch, release } thresholds as fractions of hand size
+    result() {
+        if (!this.done) {
+            throw new Error('Calibration is not finished');
+        }
+
+        // A loose pinch and a lazy open hand should still count
+        const closed = percentile(this.samples.pinch, 0.8);
+        const open = percentile(this.samples.open, 0.2);
+
+        if (open < closed * MIN_CONTRAST) {
+            throw new Error('The pinch and the open hand looked too alike, please try again');
+        }
+
+        return {
+            pinch: round(closed + ENGAGE_POINT * (open - closed)),
+            release: round(closed + RELEASE_POINT * (open - closed))
+        };
+    }
+}
+
+// ============================================
+// STORAGE
+// ============================================
+export function loadCalibration(storage) {
+    try {
+        const stored = JSON.parse(storage.getItem(CALIBRATION_STORAGE_KEY));
+        if (Number.isFinite(stored?.pinch) && Number.isFinite(stored?.release)) {
+            return { pinch: stored.pinch, release: stored.release };
+        }
+    } catch (err) {
+        console.warn('Ignoring stored pinch calibration:', err);
+    }
+
+    return null;
+}
+
+export function saveCalibration(storage, calibration) {
+    if (calibration) {
+        storage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibration));
+    } else {
+        storage.removeItem(CALIBRATION_STORAGE_KEY);
+    }
+}
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,82 @@
+/**
+ * Spatial Hand Tracker - Object Catalog
+ * The JSON scene description the grabbable objects are built from:
+ *
+ *     { "version": 1, "objects": [{ "id": "obj-orb", "type": "orb", "hue": 200, "x": 12, "y": 25 }] }
+ *
+ * Objects may also carry a `label` for their control-panel card and
+ * `behavior` flags that switch off parts of OBJECT_BEHAVIOR.
+ */
+
+import { OBJECT_BEHAVIOR } from './interaction.js';
+
+export const CATALOG_VERSION = 1;
+
+// Types end up in class names, so keep them to plain identifiers
+const TYPE_PATTERN = /^[a-z][\w-]*$/i;
+
+// Takes the parsed JSON or the string itself; throws on anything malformed
+export function parseCatalog(catalog) {
+    const data = typeof catalog === 'string' ? JSON.parse(catalog) : catalog;
+
+    if (data?.version !== CATALOG_VERSION) {
+        throw new Error(`Unsupported catalog version: ${data?.version}`);
+    }
+    if (!Array.isArray(data.objects)) {
+        throw new Error('Catalog has no objects list');
+    }
+
+    const ids = new Set();
+    return data.objects.map(spec => {
+        const object = normalizeObjectSpec(spec);
+        if (ids.has(object.id)) {
+            throw new Error(`Object "${object.id}" is listed twice`);
+        }
+        ids.add(object.id);
+        return object;
+    });
+}
+
+// Fills in the defaults for one catalog entry
+export function normalizeObjectSpec(spec) {
+    if (!spec?.id) {
+        throw new Error('Objects need an id');
+    }
+
+    const type = String(spec.type ?? '');
+    if (!TYPE_PATTERN.test(type)) {
+        throw new Error(`Object "${spec.id}" has an invalid type "${type}"`);
+    }
+
+    const behavior = { ...OBJECT_BEHAVIOR };
+    for (const [key, value] of Object.entries(spec.behavior ?? {})) {
+        if (!(key in OBJECT_BEHAVIOR)) {
+            throw new Error(`Unknown behavior "${key}"`);
+        }
+        behavior[key] = Boolean(value);
+    }
+
+    return {
+        id: String(spec.id),
+        type,
+        label: spec.label ? String(spec.label) : type[0].toUpperCase() + type.slice(1),
+        hue: finiteOr(spec.hue, 200),
+        x: finiteOr(spec.x, 15),
+        y: finiteOr(spec.y, 30),
+        behavior
+    };
+}
+
+// The catalog's JSON as served, for SpatialTracker#loadCatalog (which parses it)
+export async function fetchCatalog(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+function finiteOr(value, fallback) {
+    return Number.isFinite(value) ? value : fallback;
+}
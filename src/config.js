@@ -0,0 +1,135 @@
+/**
+ * Spatial Hand Tracker - Configuration
+ * Tuning values shared by the app and the interaction modules.
+ * Each SpatialTracker merges its own partial overrides over these defaults.
+ */
+
+// Pinned so a new MediaPipe release can't change tracking behavior unannounced
+export const MEDIAPIPE_VERSION = '0.10.35';
+
+const VISION_CDN = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}`;
+
+// Where `npm run vendor` puts self-hosted copies, relative to the page
+export const VENDORED_ASSETS = {
+    visionBundle: './vendor/mediapipe/vision_bundle.mjs',
+    wasmPath: './vendor/mediapipe/wasm',
+    handModel: './vendor/mediapipe/hand_landmarker.task',
+    faceModel: './vendor/mediapipe/face_landmarker.task'
+};
+
+export const CONFIG = {
+    // MediaPipe runtime and models; relative URLs resolve against the page
+    assets: {
+        visionBundle: `${VISION_CDN}/vision_bundle.mjs`,
+        wasmPath: `${VISION_CDN}/wasm`,
+        handModel: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+        faceModel: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'
+    },
+
+    mediapipe: {
+        delegate: 'auto', // 'auto' tries the GPU and falls back to the CPU; or force 'GPU' / 'CPU'
+        inference: 'auto', // 'worker' runs the models off the main thread, 'main' inside the render loop
+        numHands: 2,
+        minDetectionConfidence: 0.7,
+        minPresenceConfidence: 0.7,
+        minTrackingConfidence: 0.7,
+        numFaces: 1,
+        minFaceDetectionConfidence: 0.5,
+        minFacePresenceConfidence: 0.5
+    },
+
+    camera: {
+        deviceId: null,        // null picks by facingMode; SpatialTracker#listCameras() lists the choices
+        facingMode: 'user',
+        width: 640,
+        height: 480,
+        frameRate: 30,
+        mirror: true,          // Show the feed like a mirror; usually off for cameras facing away from the user
+        pauseWhenHidden: true  // Pause tracking while the tab is in the background
+    },
+
+    face: {
+        enabled: true, // false never loads the face model
+        interval: 1    // Run face detection every N frames and reuse the last result in between
+    },
+
+    interaction: {
+        pinchThreshold: 0.065,
+        pinchReleaseThreshold: 0.085,
+        pinchCalibration: null, // { pinch, release } as fractions of hand size; replaces the two above
+        grabRadius: 90,
+        // The thresholds above hold for a hand this size (wrist to middle knuckle, normalized);
+        // nearer and farther hands scale them, within handScaleRange
+        handSizeScaling: true,
+        referenceHandSize: 0.15,
+        handScaleRange: [0.4, 2.5],
+        // Cursor filter: 'oneEuro' or 'kalman'; an array picks one per hand, e.g. ['kalman', 'oneEuro']
+        cursorFilter: 'oneEuro',
+        oneEuro: { minCutoff: 1.0, beta: 0.007 },
+        kalman: { processNoise: 200, measurementNoise: 0.05 },
+        predictiveFrames: 2, // Lead the cursor by this many frames of motion; 0 disables prediction
+        smoothing: 0.3,      // Weight of the newest frame in the predicted velocity
+        // Joint smoothing for the skeleton, pinch and gesture classifiers (the cursor has its own filter)
+        landmarkFilter: { enabled: true, minCutoff: 1.0, beta: 20 },
+        gestureConfirmFrames: 3,
+        minObjectScale: 0.5,
+        maxObjectScale: 2.5,
+        objectRadius: 36, // Pixels at scale 1: half an object's size, for collisions and edge alignment
+        // Held objects can snap to a grid and line up with other objects' centers and edges
+        snap: {
+            grid: false,
+            gridSize: 60,  // Pixels
+            align: false,
+            threshold: 10, // Pixels within which a grid line or another object pulls the held one in
+            guideRange: 3  // Guides fade in from this many thresholds away
+        },
+        // A pinch away from the objects clicks the page element under the cursor (see airtap.js).
+        // area 'tracker' maps the cursor onto the camera window, 'page' onto the whole browser window
+        airTap: {
+            enabled: false,
+            area: 'tracker'
+        },
+        // Released objects keep the hand's momentum; speeds are in percent of the viewport per second
+        physics: {
+            enabled: true,
+            throwScale: 1,      // Share of the cursor's velocity a released object takes
+            minThrowSpeed: 20,  // Slower releases just stop
+            maxThrowSpeed: 300,
+            friction: 2.5,      // Per second; higher stops thrown objects sooner
+            restSpeed: 2,       // Moving objects stop below this
+            restitution: 0.6    // Share of the speed kept by a bounce
+        }
+    },
+
+    // Bins objects can be dropped into. x/y is the center in percent of the viewport;
+    // capacity null is unlimited, accepts null takes every object type (e.g. ['gem', 'orb'])
+    dropZones: [
+        { id: 'drop-zone', label: 'Drop Here', x: 88, y: 50, capacity: null, accepts: null }
+    ],
+
+    rendering: {
+        skeleton: {
+            jointRadius: 4,
+            boneWidth: 2.5,
+            colors: ['#ff9500', '#5ac8fa', '#bf5af2', '#ff375f', '#30d158', '#ffffff']
+        },
+        uiUpdateInterval: 80
+    }
+};
+
+// Deep-merges a partial config over a base one; arrays and other values are replaced
+export function mergeConfig(base, overrides = {}) {
+    const merged = { ...base };
+
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeConfig(base[key], value)
+            : value;
+    }
+
+    return merged;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,42 @@
+/**
+ * Spatial Hand Tracker - Delegates
+ * Picks the MediaPipe inference delegate, falling back to the CPU when the GPU
+ * (WebGL) one can't be created.
+ */
+
+export const DELEGATES = ['GPU', 'CPU'];
+
+// 'auto' tries the GPU first; naming a delegate uses only that one
+export function delegateCandidates(preference = 'auto') {
+    if (preference === 'auto') return [...DELEGATES];
+
+    const delegate = String(preference).toUpperCase();
+    if (!DELEGATES.includes(delegate)) {
+        throw new Error(`Unknown delegate "${preference}"`);
+    }
+    return [delegate];
+}
+
+/**
+ * Calls `create(delegate)` for each candidate until one succeeds.
+ * Resolves to `{ delegate, result }`; rejects with the last error if none do.
+ */
+export async function createWithFallback(create, preference = 'auto', onFallback = () => {}) {
+    const candidates = delegateCandidates(preference);
+    let lastError = null;
+
+    for (const [i, delegate] of candidates.entries()) {
+        try {
+            return { delegate, result: await create(delegate) };
+        } catch (err) {
+            lastError = err;
+            if (i < candidates.length - 1) onFallback(delegate, candidates[i + 1], err);
+        }
+    }
+
+    throw lastError;
+}
+
+export function describeDelegates({ hand, face }) {
+    return !face || hand === face ? hand : `${hand} / ${face}`;
+}
@@ -0,0 +1,71 @@
+/**
+ * Spatial Hand Tracker - Errors
+ * Sorts camera and model failures into the recovery screens the tracker
+ * shows, each with its own explanation and retry action.
+ */
+
+export const ERROR_SCREENS = {
+    'permission-denied': {
+        title: 'Camera access blocked',
+        message: 'Allow camera access for this site in your browser settings, then try again.',
+        retry: 'Try again'
+    },
+    'no-camera': {
+        title: 'No camera found',
+        message: 'Connect a camera, or pick another one in the Camera settings, then try again.',
+        retry: 'Try again'
+    },
+    'camera-in-use': {
+        title: 'Camera is busy',
+        message: 'Another app or tab is using the camera. Close it, then try again.',
+        retry: 'Try again'
+    },
+    'camera-ended': {
+        title: 'Camera disconnected',
+        message: 'The camera stopped sending video. Reconnect it, then try again.',
+        retry: 'Reconnect'
+    },
+    'model-download': {
+        title: 'Could not load the hand tracking models',
+        message: 'Check your connection, then try again.',
+        retry: 'Try again'
+    },
+    'webgl-unavailable': {
+        title: 'GPU acceleration unavailable',
+        message: 'WebGL could not be started. Tracking can run on the CPU instead, a little slower.',
+        retry: 'Use the CPU'
+    },
+    unknown: {
+        title: 'Something went wrong',
+        message: 'Tracking stopped unexpectedly.',
+        retry: 'Try again'
+    }
+};
+
+// getUserMedia's DOMException names, including older browsers' variants
+const CAMERA_ERRORS = {
+    NotAllowedError: 'permission-denied',
+    PermissionDeniedError: 'permission-denied',
+    SecurityError: 'permission-denied',
+    NotFoundError: 'no-camera',
+    DevicesNotFoundError: 'no-camera',
+    OverconstrainedError: 'no-camera',
+    NotReadableError: 'camera-in-use',
+    TrackStartError: 'camera-in-use',
+    AbortError: 'camera-in-use'
+};
+
+const WEBGL_PATTERN = /webgl|opengl|gpu/i;
+
+// `stage` is 'camera' or 'models'
+export function classifyError(err, stage) {
+    if (stage === 'camera') {
+        return CAMERA_ERRORS[err?.name] ?? 'unknown';
+    }
+
+    if (stage === 'models') {
+        return WEBGL_PATTERN.test(err?.message ?? '') ? 'webgl-unavailable' : 'model-download';
+    }
+
+    return 'unknown';
+}
@@ -0,0 +1,57 @@
+/**
+ * Spatial Hand Tracker - Public Events
+ * Lets host pages react to what happens in the tracker.
+ *
+ * Every event is a CustomEvent whose `detail` carries the hand index and
+ * normalized (0..1, mirrored like the display) coordinates. Events fire on
+ * the TrackerEvents instance and are mirrored to `window` with a `spatial:`
+ * prefix for pages that don't import the module. Mirrored events also carry
+ * the `trackerId` so window listeners can tell several trackers apart.
+ */
+
+export const TRACKER_EVENTS = [
+    'grab',          // { hand, objectId, objectType, x, y }
+    'release',       // { hand, objectId, objectType, x, y }
+    'drop',          // { hand, objectId, objectType, zoneId, x, y }
+    'dropRejected',  // { hand, objectId, objectType, zoneId, reason: 'type' | 'full', x, y }
+    'hover',         // { hand, objectId, objectType, previousObjectId, x, y } — objectId is null when hover ends
+    'gesture',       // { hand, gesture, phase: 'start' | 'end', confidence, objectId, x, y }
+    'handsChanged',  // { count, hands: [{ hand, handedness, x, y }] }
+    'faceChanged',   // { detected, x, y }
+    'calibrated',    // { pinch, release } — fractions of hand size
+    'statusChanged', // { status: 'running' | 'paused' | 'stopped', reason } — reason is 'hidden' for background tabs
+    'error'          // { kind, message } — kind is a key of ERROR_SCREENS
+];
+
+export const WINDOW_EVENT_PREFIX = 'spatial:';
+
+export class TrackerEvents extends EventTarget {
+    constructor({ mirrorTarget = globalThis.window ?? null, id = null } = {}) {
+        super();
+        this.mirrorTarget = mirrorTarget;
+        this.id = id;
+    }
+
+    emit(type, detail) {
+        if (!TRACKER_EVENTS.includes(type)) {
+            throw new Error(`Unknown tracker event "${type}"`);
+        }
+
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+        this.mirrorTarget?.dispatchEvent(new CustomEvent(WINDOW_EVENT_PREFIX + type, {
+            detail: { ...detail, trackerId: this.id }
+        }));
+    }
+
+    // Convenience wrapper: the listener gets the detail; returns an unsubscribe function
+    on(type, listener) {
+        const handler = event => listener(event.detail);
+        this.addEventListener(type, handler);
+        return () => this.removeEventListener(type, handler);
+    }
+}
+
+// Cursor positions are kept in percent; events speak 0..1
+export function normalizePoint(point) {
+    return point ? { x: point.x / 100, y: point.y / 100 } : { x: null, y: null };
+}
@@ -0,0 +1,226 @@
+/**
+ * Spatial Hand Tracker - Filters
+ * Signal smoothing and gesture debouncing for noisy landmark input
+ */
+
+export class OneEuroFilter {
+    constructor(minCutoff = 1.0, beta = 0.007) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.xPrev = null;
+        this.dxPrev = 0;
+        this.tPrev = null;
+    }
+
+    filter(x, t) {
+        if (this.xPrev === null) {
+            this.xPrev = x;
+            this.tPrev = t;
+            return x;
+        }
+
+        const dt = Math.max((t - this.tPrev) / 1000, 0.001);
+        this.tPrev = t;
+
+        const dx = (x - this.xPrev) / dt;
+        const alpha = this.alpha(1.0, dt);
+        const edx = alpha * dx + (1 - alpha) * this.dxPrev;
+        this.dxPrev = edx;
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(edx);
+        const result = this.alpha(cutoff, dt) * x + (1 - this.alpha(cutoff, dt)) * this.xPrev;
+        this.xPrev = result;
+
+        return result;
+    }
+
+    alpha(cutoff, dt) {
+        const tau = 1.0 / (2 * Math.PI * cutoff);
+        return 1.0 / (1.0 + tau / dt);
+    }
+
+    // Smoothed rate of change in units per second, like KalmanFilter#velocity
+    get velocity() {
+        return this.dxPrev;
+    }
+
+    reset() {
+        this.xPrev = null;
+        this.dxPrev = 0;
+        this.tPrev = null;
+    }
+}
+
+// One Euro filter on every joint in x, y and z. Landmarks are normalized
+// (0-1), so `beta` is much larger than for the percentage-based cursor.
+export class LandmarkSmoother {
+    constructor(minCutoff = 1.0, beta = 20) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.filters = [];
+    }
+
+    smooth(landmarks, t) {
+        return landmarks.map((point, i) => {
+            this.filters[i] ??= [0, 1, 2].map(() => new OneEuroFilter(this.minCutoff, this.beta));
+            const [fx, fy, fz] = this.filters[i];
+
+            return {
+                ...point,
+                x: fx.filter(point.x, t),
+                y: fy.filter(point.y, t),
+                z: fz.filter(point.z ?? 0, t)
+            };
+        });
+    }
+
+    // Retunes the joints in place, keeping their history
+    tune(minCutoff, beta) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.filters.forEach(axes => axes.forEach(filter => {
+            filter.minCutoff = minCutoff;
+            filter.beta = beta;
+        }));
+    }
+
+    reset() {
+        this.filters.forEach(axes => axes.forEach(filter => filter.reset()));
+    }
+}
+
+// Constant-velocity Kalman filter for one coordinate. Tracks position and
+// velocity, so it keeps up with steady motion instead of trailing behind it.
+export class KalmanFilter {
+    constructor(processNoise = 200, measurementNoise = 0.05) {
+        this.q = processNoise;     // Acceleration variance the hand is allowed
+        this.r = measurementNoise; // Variance of the raw landmark jitter
+        this.reset();
+    }
+
+    filter(z, t) {
+        if (this.x === null) {
+            this.x = z;
+            this.tPrev = t;
+            return z;
+        }
+
+        const dt = Math.max((t - this.tPrev) / 1000, 0.001);
+        this.tPrev = t;
+
+        // Predict: x' = x + v·dt, P' = F·P·Fᵀ + Q
+        const [[p00, p01], [p10, p11]] = this.p;
+        const dt2 = dt * dt;
+        this.x += this.v * dt;
+        const a00 = p00 + dt * (p10 + p01) + dt2 * p11 + this.q * dt2 * dt2 / 4;
+        const a01 = p01 + dt * p11 + this.q * dt2 * dt / 2;
+        const a10 = p10 + dt * p11 + this.q * dt2 * dt / 2;
+        const a11 = p11 + this.q * dt2;
+
+        // Update with the measured position
+        const s = a00 + this.r;
+        const k0 = a00 / s;
+        const k1 = a10 / s;
+        const residual = z - this.x;
+
+        this.x += k0 * residual;
+        this.v += k1 * residual;
+        this.p = [
+            [(1 - k0) * a00, (1 - k0) * a01],
+            [a10 - k1 * a00, a11 - k1 * a01]
+        ];
+
+        return this.x;
+    }
+
+    // Estimated velocity in units per second
+    get velocity() {
+        return this.v;
+    }
+
+    reset() {
+        this.x = null;
+        this.v = 0;
+        this.p = [[1, 0], [0, 1]];
+        this.tPrev = null;
+    }
+}
+
+// Extrapolates a smoothed signal a few frames ahead to hide camera and
+// inference latency. `smoothing` weighs each new frame's velocity.
+export class VelocityPredictor {
+    constructor(frames = 2, smoothing = 0.3) {
+        this.frames = frames;
+        this.smoothing = smoothing;
+        this.reset();
+    }
+
+    predict(x) {
+        if (this.xPrev !== null) {
+            this.velocity = this.smoothing * (x - this.xPrev) + (1 - this.smoothing) * this.velocity;
+        }
+        this.xPrev = x;
+
+        return x + this.velocity * this.frames;
+    }
+
+    reset() {
+        this.xPrev = null;
+        this.velocity = 0; // Units per frame
+    }
+}
+
+export const CURSOR_FILTERS = ['oneEuro', 'kalman'];
+
+// `options` are the interaction options, which hold each filter's parameters
+export function createCursorFilter(type, options) {
+    switch (type) {
+        case 'oneEuro':
+            return new OneEuroFilter(options.oneEuro.minCutoff, options.oneEuro.beta);
+        case 'kalman':
+            return new KalmanFilter(options.kalman.processNoise, options.kalman.measurementNoise);
+        default:
+            throw new Error(`Unknown cursor filter: ${type}`);
+    }
+}
+
+// Applies new parameters to a filter made by createCursorFilter without resetting it
+export function tuneCursorFilter(filter, options) {
+    if (filter instanceof OneEuroFilter) {
+        filter.minCutoff = options.oneEuro.minCutoff;
+        filter.beta = options.oneEuro.beta;
+    } else if (filter instanceof KalmanFilter) {
+        filter.q = options.kalman.processNoise;
+        filter.r = options.kalman.measurementNoise;
+    }
+}
+
+export class GestureStabilizer {
+    constructor(frames = 3) {
+        this.requiredFrames = frames;
+        this.currentState = false;
+        this.pendingState = false;
+        this.frameCount = 0;
+    }
+
+    update(raw) {
+        if (raw !== this.pendingState) {
+            this.pendingState = raw;
+            this.frameCount = 1;
+        } else {
+            this.frameCount++;
+        }
+
+        if (this.frameCount >= this.requiredFrames && this.pendingState !== this.currentState) {
+            this.currentState = this.pendingState;
+        }
+
+        return this.currentState;
+    }
+
+    reset() {
+        this.currentState = false;
+        this.pendingState = false;
+        this.frameCount = 0;
+    }
+}
@@ -0,0 +1,335 @@
+/**
+ * Spatial Hand Tracker - Gestures
+ * Hand pose classifiers over MediaPipe's 21-point hand landmarks, and a
+ * registry that runs them per hand with stabilization and start/end events.
+ */
+
+import { CONFIG } from './config.js';
+import { GestureStabilizer } from './filters.js';
+
+// Landmark indices:
+// Thumb: 1-4, Index: 5-8, Middle: 9-12, Ring: 13-16, Pinky: 17-20
+// Tips: 4, 8, 12, 16, 20
+// MCP (knuckles): 1, 5, 9, 13, 17
+const FINGER_JOINTS = {
+    thumb: { base: 2, tip: 4 },
+    index: { base: 5, tip: 8 },
+    middle: { base: 9, tip: 12 },
+    ring: { base: 13, tip: 16 },
+    pinky: { base: 17, tip: 20 }
+};
+
+// Tip-to-wrist over knuckle-to-wrist ratios that separate curled from extended
+const REACH_THRESHOLDS = {
+    thumb: { curled: 1.3, extended: 1.4 },
+    finger: { curled: 1.4, extended: 1.5 }
+};
+
+// Confidence goes from 0 to 1 across this band around a threshold
+const RAMP_WIDTH = 0.2;
+
+// ============================================
+// MEASUREMENTS
+// ============================================
+export function distance2D(p1, p2) {
+    return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+}
+
+export function measurePinch(landmarks) {
+    const thumbTip = landmarks[4];
+    const indexTip = landmarks[8];
+
+    const dx = thumbTip.x - indexTip.x;
+    const dy = thumbTip.y - indexTip.y;
+    const dz = (thumbTip.z || 0) - (indexTip.z || 0);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+// Wrist to middle knuckle; pinch distances scale with it as the hand nears the camera
+export function measureHandSize(landmarks) {
+    return distance2D(landmarks[0], landmarks[9]);
+}
+
+// How much larger the hand looks than `referenceHandSize`, i.e. how close it is
+export function handScale(options, handSize) {
+    if (!options.handSizeScaling) return 1;
+
+    const [min, max] = options.handScaleRange;
+    return Math.max(min, Math.min(max, handSize / options.referenceHandSize));
+}
+
+// The calibrated thresholds, or the configured ones, both scaled to this hand
+export function pinchThresholds(options, handSize) {
+    const calibration = options.pinchCalibration;
+    if (calibration) {
+        return { engage: calibration.pinch * handSize, release: calibration.release * handSize };
+    }
+
+    const scale = handScale(options, handSize);
+    return { engage: options.pinchThreshold * scale, release: options.pinchReleaseThreshold * scale };
+}
+
+export function fingerReach(landmarks, finger) {
+    const { base, tip } = FINGER_JOINTS[finger];
+    const wrist = landmarks[0];
+    return distance2D(landmarks[tip], wrist) / Math.max(distance2D(landmarks[base], wrist), 1e-6);
+}
+
+// 0 below `threshold - RAMP_WIDTH`, 1 above `threshold + RAMP_WIDTH`, 0.5 at the threshold
+function ramp(value, threshold) {
+    return Math.max(0, Math.min(1, (value - threshold + RAMP_WIDTH) / (2 * RAMP_WIDTH)));
+}
+
+function extended(landmarks, finger) {
+    const thresholds = finger === 'thumb' ? REACH_THRESHOLDS.thumb : REACH_THRESHOLDS.finger;
+    return ramp(fingerReach(landmarks, finger), thresholds.extended);
+}
+
+function curled(landmarks, finger) {
+    const thresholds = finger === 'thumb' ? REACH_THRESHOLDS.thumb : REACH_THRESHOLDS.finger;
+    return 1 - ramp(fingerReach(landmarks, finger), thresholds.curled);
+}
+
+// ============================================
+// DETECTORS
+// Each takes (landmarks, handedness, { active, options }) and returns a 0..1 confidence
+// ============================================
+export function pinchConfidence(landmarks, handedness, { active = false, options = CONFIG.interaction } = {}) {
+    // Same hysteresis as the grab logic: release needs a wider gap than engage
+    const thresholds = pinchThresholds(options, measureHandSize(landmarks));
+    const threshold = active ? thresholds.release : thresholds.engage;
+
+    // 0.5 exactly at the threshold
+    return Math.max(0, Math.min(1, 1.5 - measurePinch(landmarks) / threshold));
+}
+
+export function openPalmConfidence(landmarks) {
+    return Math.min(
+        extended(landmarks, 'thumb'),
+        extended(landmarks, 'index'),
+        extended(landmarks, 'middle'),
+        extended(landmarks, 'ring'),
+        extended(landmarks, 'pinky')
+    );
+}
+
+export function fistConfidence(landmarks) {
+    return Math.min(
+        curled(landmarks, 'thumb'),
+        curled(landmarks, 'index'),
+        curled(landmarks, 'middle'),
+        curled(landmarks, 'ring'),
+        curled(landmarks, 'pinky')
+    );
+}
+
+export function pointConfidence(landmarks) {
+    return Math.min(
+        extended(landmarks, 'index'),
+        curled(landmarks, 'middle'),
+        curled(landmarks, 'ring'),
+        curled(landmarks, 'pinky')
+    );
+}
+
+export function thumbsUpConfidence(landmarks) {
+    const base = landmarks[2];
+    const tip = landmarks[4];
+
+    // 1 when the thumb points straight up, 0.5 at 30° above horizontal
+    const upward = Math.max(0, Math.min(1, 2 * (base.y - tip.y) / Math.max(distance2D(base, tip), 1e-6)));
+
+    return Math.min(
+        extended(landmarks, 'thumb'),
+        upward,
+        curled(landmarks, 'index'),
+        curled(landmarks, 'middle'),
+        curled(landmarks, 'ring'),
+        curled(landmarks, 'pinky')
+    );
+}
+
+export function victoryConfidence(landmarks) {
+    return Math.min(
+        extended(landmarks, 'index'),
+        extended(landmarks, 'middle'),
+        curled(landmarks, 'ring'),
+        curled(landmarks, 'pinky')
+    );
+}
+
+export function middleFingerConfidence(landmarks) {
+    // Middle extended, others curled (the thumb can do whatever it likes)
+    return Math.min(
+        extended(landmarks, 'middle'),
+        curled(landmarks, 'index'),
+        curled(landmarks, 'ring'),
+        curled(landmarks, 'pinky')
+    );
+}
+
+export function detectMiddleFinger(landmarks) {
+    return middleFingerConfidence(landmarks) >= 0.5;
+}
+
+// Higher priority wins when several gestures are active at once
+export const BUILT_IN_GESTURES = [
+    { name: 'middleFinger', label: '🖕 Detected!', detect: middleFingerConfidence, priority: 100, confirmFrames: 5, warning: true },
+    { name: 'pinch', label: 'Pinching', detect: pinchConfidence, priority: 60 },
+    { name: 'thumbsUp', label: '👍 Thumbs Up', detect: thumbsUpConfidence, priority: 50 },
+    { name: 'victory', label: '✌️ Victory', detect: victoryConfidence, priority: 40 },
+    { name: 'point', label: '☝️ Point', detect: pointConfidence, priority: 30 },
+    { name: 'fist', label: '✊ Fist', detect: fistConfidence, priority: 20 },
+    { name: 'openPalm', label: '✋ Open Palm', detect: openPalmConfidence, priority: 10 }
+];
+
+// ============================================
+// REGISTRY
+// ============================================
+export class GestureRegistry {
+    constructor({ options = CONFIG.interaction, confirmFrames = options.gestureConfirmFrames, threshold = 0.5 } = {}) {
+        // Interaction options are handed to every detector
+        this.options = options;
+        this.defaults = { confirmFrames, threshold };
+        this.gestures = new Map();
+        this.hands = [];
+        this.listeners = { start: new Set(), end: new Set() };
+    }
+
+    register({ name, detect, label = name, priority = 0, threshold, confirmFrames, warning = false }) {
+        if (this.gestures.has(name)) {
+            throw new Error(`Gesture "${name}" is already registered`);
+        }
+
+        this.gestures.set(name, {
+            name,
+            label,
+            detect,
+            priority,
+            warning,
+            threshold: threshold ?? this.defaults.threshold,
+            confirmFrames: confirmFrames ?? null // null follows the registry default
+        });
+
+        return this;
+    }
+
+    // Swaps in new interaction options, e.g. while tuning; running gestures keep their state
+    setOptions(options) {
+        this.options = options;
+        this.defaults.confirmFrames = options.gestureConfirmFrames;
+
+        this.hands.forEach(tracks => tracks?.forEach((track, name) => {
+            track.stabilizer.requiredFrames = this.confirmFramesFor(this.gestures.get(name));
+        }));
+    }
+
+    confirmFramesFor(gesture) {
+        return gesture.confirmFrames ?? this.defaults.confirmFrames;
+    }
+
+    unregister(name) {
+        this.hands.forEach((tracks, slot) => {
+            if (tracks.get(name)?.active) this.emit('end', name, slot, 0);
+            tracks.delete(name);
+        });
+
+        return this.gestures.delete(name);
+    }
+
+    on(type, listener) {
+        this.listeners[type].add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this.listeners[type].delete(listener);
+    }
+
+    emit(type, name, slot, confidence) {
+        const event = { type, gesture: name, hand: slot, confidence };
+        this.listeners[type].forEach(listener => listener(event));
+        return event;
+    }
+
+    // Runs every detector on one hand; returns the start/end events it fired
+    update(slot, landmarks, handedness = 'Unknown') {
+        const tracks = this.hands[slot] ??= new Map();
+        const events = [];
+
+        for (const gesture of this.gestures.values()) {
+            let track = tracks.get(gesture.name);
+            if (!track) {
+                track = { stabilizer: new GestureStabilizer(this.confirmFramesFor(gesture)), active: false, confidence: 0 };
+                tracks.set(gesture.name, track);
+            }
+
+            track.confidence = gesture.detect(landmarks, handedness, { active: track.active, options: this.options });
+
+            const active = track.stabilizer.update(track.confidence >= gesture.threshold);
+            if (active !== track.active) {
+                track.active = active;
+                events.push(this.emit(active ? 'start' : 'end', gesture.name, slot, track.confidence));
+            }
+        }
+
+        return events;
+    }
+
+    // The hand left the frame: end its gestures and forget its history
+    clearHand(slot) {
+        const tracks = this.hands[slot];
+        if (!tracks) return [];
+
+        const events = [];
+        tracks.forEach((track, name) => {
+            if (track.active) events.push(this.emit('end', name, slot, 0));
+        });
+        tracks.clear();
+
+        return events;
+    }
+
+    isActive(name, slot) {
+        return this.hands[slot]?.get(name)?.active ?? false;
+    }
+
+    getConfidence(name, slot) {
+        return this.hands[slot]?.get(name)?.confidence ?? 0;
+    }
+
+    // First hand slot where the gesture is active, or -1
+    findHand(name) {
+        return this.hands.findIndex(tracks => tracks?.get(name)?.active);
+    }
+
+    // Highest-priority active gesture across all hands
+    getActiveGesture() {
+        let best = null;
+
+        this.hands.forEach((tracks, slot) => {
+            tracks?.forEach((track, name) => {
+                const gesture = this.gestures.get(name);
+                if (!track.active || !gesture) return;
+                if (best && best.priority >= gesture.priority) return;
+
+                best = {
+                    name,
+                    label: gesture.label,
+                    priority: gesture.priority,
+                    warning: gesture.warning,
+                    hand: slot,
+                    confidence: track.confidence
+                };
+            });
+        });
+
+        return best;
+    }
+}
+
+export function createGestureRegistry(options) {
+    const registry = new GestureRegistry(options);
+    BUILT_IN_GESTURES.forEach(gesture => registry.register(gesture));
+    return registry;
+}
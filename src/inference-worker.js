@@ -0,0 +1,87 @@
+/**
+ * Spatial Hand Tracker - Inference Worker
+ * Runs the MediaPipe landmarkers off the main thread. Receives frames as
+ * ImageBitmaps and posts the landmarks back (see WorkerInference).
+ */
+
+import { loadVision, createHandLandmarker, createFaceLandmarker, toHandResults, toFaceResults } from './landmarkers.js';
+
+let config = null;
+let vision = null;
+let hand = null;
+let face = null;
+let faceLoading = null;
+const delegates = { hand: null, face: null };
+
+const status = text => self.postMessage({ type: 'status', text });
+const onFallback = (from, to) => status(`${from} unavailable, falling back to ${to}...`);
+
+async function load(message) {
+    config = message.config;
+
+    status('Loading AI models...');
+    vision = await loadVision(config.assets, { useModule: true });
+
+    status('Initializing hand tracker...');
+    const result = await createHandLandmarker(vision, config, onFallback);
+    hand = result.result;
+    delegates.hand = result.delegate;
+
+    if (message.face) {
+        status('Initializing face tracker...');
+        await loadFace();
+    }
+}
+
+function loadFace() {
+    faceLoading ??= createFaceLandmarker(vision, config, delegates.hand, onFallback)
+        .then(result => {
+            face = result.result;
+            delegates.face = result.delegate;
+        })
+        .catch(err => {
+            faceLoading = null;
+            throw err;
+        });
+
+    return faceLoading;
+}
+
+function detect({ bitmap, timestamp, detectFace }) {
+    try {
+        if (!hand) {
+            self.postMessage({ type: 'skipped' });
+            return;
+        }
+
+        self.postMessage({
+            type: 'result',
+            result: {
+                timestamp,
+                handResults: toHandResults(hand.detectForVideo(bitmap, timestamp)),
+                faceResults: detectFace && face ? toFaceResults(face.detectForVideo(bitmap, timestamp)) : null
+            }
+        });
+    } catch (err) {
+        console.error('Inference error:', err);
+        self.postMessage({ type: 'skipped' });
+    } finally {
+        bitmap.close();
+    }
+}
+
+const REQUESTS = { load, loadFace };
+
+self.addEventListener('message', async ({ data: message }) => {
+    if (message.type === 'detect') {
+        detect(message);
+        return;
+    }
+
+    try {
+        await REQUESTS[message.type](message);
+        self.postMessage({ type: 'done', id: message.id, delegates });
+    } catch (err) {
+        self.postMessage({ type: 'failed', id: message.id, error: err.message });
+    }
+});
@@ -0,0 +1,201 @@
+/**
+ * Spatial Hand Tracker - Inference
+ * Two interchangeable ways to run the landmarkers. Both take a frame with
+ * submit() and hand back `{ timestamp, handResults, faceResults }` through
+ * takeResult(); faceResults is null when the face wasn't run on that frame.
+ *
+ * - WorkerInference runs MediaPipe in a Web Worker fed with ImageBitmaps, so
+ *   the main thread only filters, renders and handles interaction.
+ * - MainThreadInference runs it synchronously, for browsers without workers.
+ */
+
+import { loadVision, createHandLandmarker, createFaceLandmarker, toHandResults, toFaceResults } from './landmarkers.js';
+
+export function supportsWorkerInference() {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined';
+}
+
+// 'auto' prefers the worker where the browser has one
+export function createInference(config) {
+    const mode = config.mediapipe.inference;
+    return mode === 'main' || (mode === 'auto' && !supportsWorkerInference())
+        ? new MainThreadInference(config)
+        : new WorkerInference(config);
+}
+
+function fallbackStatus(onStatus) {
+    return (from, to) => onStatus(`${from} unavailable, falling back to ${to}...`);
+}
+
+// ============================================
+// MAIN THREAD
+// ============================================
+export class MainThreadInference {
+    constructor(config) {
+        this.mode = 'main';
+        this.config = config;
+        this.vision = null;
+        this.hand = null;
+        this.face = null;
+        this.faceLoading = null;
+        this.delegates = { hand: null, face: null };
+        this.result = null;
+        this.busy = false;
+    }
+
+    async load({ face = true, onStatus = () => {} } = {}) {
+        onStatus('Loading AI models...');
+        this.vision = await loadVision(this.config.assets);
+
+        onStatus('Initializing hand tracker...');
+        const hand = await createHandLandmarker(this.vision, this.config, fallbackStatus(onStatus));
+        this.hand = hand.result;
+        this.delegates.hand = hand.delegate;
+
+        if (face) {
+            onStatus('Initializing face tracker...');
+            await this.loadFace(onStatus);
+        }
+
+        return this.delegates;
+    }
+
+    loadFace(onStatus = () => {}) {
+        this.faceLoading ??= createFaceLandmarker(this.vision, this.config, this.delegates.hand, fallbackStatus(onStatus))
+            .then(face => {
+                this.face = face.result;
+                this.delegates.face = face.delegate;
+                return this.delegates;
+            })
+            .catch(err => {
+                this.faceLoading = null;
+                throw err;
+            });
+
+        return this.faceLoading;
+    }
+
+    submit(source, timestamp, detectFace) {
+        this.result = {
+            timestamp,
+            handResults: toHandResults(this.hand.detectForVideo(source, timestamp)),
+            faceResults: detectFace && this.face ? toFaceResults(this.face.detectForVideo(source, timestamp)) : null
+        };
+    }
+
+    takeResult() {
+        const result = this.result;
+        this.result = null;
+        return result;
+    }
+
+    close() {
+        this.hand?.close();
+        this.face?.close();
+    }
+}
+
+// ============================================
+// WEB WORKER
+// ============================================
+export class WorkerInference {
+    constructor(config) {
+        this.mode = 'worker';
+        this.config = config;
+        this.worker = null;
+        this.requests = new Map();
+        this.nextRequestId = 1;
+        this.onStatus = () => {};
+        this.delegates = { hand: null, face: null };
+        this.result = null;
+        // One frame in flight at a time; newer frames are skipped, not queued
+        this.busy = false;
+    }
+
+    async load({ face = true, onStatus = () => {} } = {}) {
+        this.onStatus = onStatus;
+        this.worker = new Worker(new URL('./inference-worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', event => this.handleMessage(event.data));
+        this.worker.addEventListener('error', event => this.failAll(new Error(event.message || 'Inference worker failed')));
+
+        this.delegates = await this.request('load', { config: this.config, face });
+        return this.delegates;
+    }
+
+    async loadFace() {
+        this.delegates = await this.request('loadFace');
+        return this.delegates;
+    }
+
+    request(type, payload = {}) {
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...payload });
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'status':
+                this.onStatus(message.text);
+                break;
+
+            case 'done':
+            case 'failed': {
+                const request = this.requests.get(message.id);
+                this.requests.delete(message.id);
+                if (message.type === 'done') {
+                    request?.resolve(message.delegates);
+                } else {
+                    request?.reject(new Error(message.error));
+                }
+                break;
+            }
+
+            case 'result':
+                this.busy = false;
+                this.result = message.result;
+                break;
+
+            case 'skipped':
+                this.busy = false;
+                break;
+        }
+    }
+
+    failAll(err) {
+        this.requests.forEach(request => request.reject(err));
+        this.requests.clear();
+        this.busy = false;
+    }
+
+    submit(source, timestamp, detectFace) {
+        this.busy = true;
+
+        createImageBitmap(source).then(
+            bitmap => {
+                // Closed while the frame was being captured
+                if (!this.worker) return bitmap.close();
+                this.worker.postMessage({ type: 'detect', bitmap, timestamp, detectFace }, [bitmap]);
+            },
+            err => {
+                console.error('Frame capture error:', err);
+                this.busy = false;
+            }
+        );
+    }
+
+    takeResult() {
+        const result = this.result;
+        this.result = null;
+        return result;
+    }
+
+    close() {
+        this.failAll(new Error('Inference closed'));
+        this.worker?.terminate();
+        this.worker = null;
+    }
+}
@@ -0,0 +1,592 @@
+/**
+ * Spatial Hand Tracker - Interaction
+ * Grab / move / drop state machine for every tracked hand.
+ *
+ * Everything here works on plain scene and hand objects and never touches
+ * the DOM. Each step returns the events it produced; the caller decides how
+ * to render them.
+ */
+
+import { CONFIG } from './config.js';
+import { VelocityPredictor, LandmarkSmoother, GestureStabilizer, createCursorFilter, tuneCursorFilter } from './filters.js';
+import { measurePinch, measureHandSize, handScale, pinchThresholds } from './gestures.js';
+import { snapPosition } from './snapping.js';
+
+// What an object allows; a catalog can switch each one off per object
+export const OBJECT_BEHAVIOR = {
+    grabbable: true,
+    scalable: true, // A second hand can scale and rotate it
+    droppable: true // Drop zones can store it
+};
+
+// Object centers stay this far inside the viewport, in percent
+export const OBJECT_BOUNDS = { min: 5, max: 95 };
+
+// ============================================
+// STATE FACTORIES
+// ============================================
+export function createHandState(options = CONFIG.interaction, slot = 0) {
+    const hand = {
+        filterType: null,
+        filterX: null,
+        filterY: null,
+        predictX: new VelocityPredictor(options.predictiveFrames, options.smoothing),
+        predictY: new VelocityPredictor(options.predictiveFrames, options.smoothing),
+        landmarkSmoother: options.landmarkFilter.enabled
+            ? new LandmarkSmoother(options.landmarkFilter.minCutoff, options.landmarkFilter.beta)
+            : null,
+        pinchStabilizer: new GestureStabilizer(options.gestureConfirmFrames),
+
+        active: false,
+        landmarks: null, // Smoothed landmarks from the last frame
+        cursor: { x: 0, y: 0 },
+        isPinching: false,
+        pinchDistance: 0,
+        handSize: 0.15,
+
+        nearestObject: null,
+        grabbedObject: null,
+        grabOffset: { x: 0, y: 0 },
+        overZone: null,      // Drop zone under the held object
+        dropRejection: null  // Why overZone would turn the object away: 'type' or 'full'
+    };
+
+    setCursorFilter(hand, cursorFilterFor(options, slot), options);
+    return hand;
+}
+
+// `cursorFilter` is either one type for every hand or a list indexed by slot
+export function cursorFilterFor(options, slot) {
+    const { cursorFilter } = options;
+    return Array.isArray(cursorFilter)
+        ? cursorFilter[slot] ?? cursorFilter[cursorFilter.length - 1]
+        : cursorFilter;
+}
+
+// Retunes a live hand for new options without dropping its filter history, unless its filter type changes
+export function applyHandOptions(hand, options = CONFIG.interaction, slot = 0) {
+    const filterType = cursorFilterFor(options, slot);
+    if (hand.filterType !== filterType) {
+        setCursorFilter(hand, filterType, options);
+    } else {
+        tuneCursorFilter(hand.filterX, options);
+        tuneCursorFilter(hand.filterY, options);
+    }
+
+    for (const predictor of [hand.predictX, hand.predictY]) {
+        predictor.frames = options.predictiveFrames;
+        predictor.smoothing = options.smoothing;
+    }
+
+    const { enabled, minCutoff, beta } = options.landmarkFilter;
+    if (!enabled) {
+        hand.landmarkSmoother = null;
+    } else if (hand.landmarkSmoother) {
+        hand.landmarkSmoother.tune(minCutoff, beta);
+    } else {
+        hand.landmarkSmoother = new LandmarkSmoother(minCutoff, beta);
+    }
+
+    hand.pinchStabilizer.requiredFrames = options.gestureConfirmFrames;
+}
+
+export function setCursorFilter(hand, type, options = CONFIG.interaction) {
+    hand.filterX = createCursorFilter(type, options);
+    hand.filterY = createCursorFilter(type, options);
+    hand.filterType = type;
+    hand.predictX.reset();
+    hand.predictY.reset();
+}
+
+// Extra fields (e.g. a DOM element) are carried through untouched
+export function createObjectState({ id, type, x = 15, y = 30, behavior = {}, ...extra }) {
+    return {
+        ...extra,
+        id,
+        type,
+        behavior: { ...OBJECT_BEHAVIOR, ...behavior },
+        x,
+        y,
+        origX: x,
+        origY: y,
+        scale: 1,
+        rotation: 0,
+        grip: null, // Two-hand manipulation baseline
+        isGrabbed: false,
+        inZone: false,
+        zone: null, // Id of the drop zone holding it
+        // Momentum after a throw, in percent of the viewport per second (see physics.js)
+        vx: 0,
+        vy: 0,
+        thrownBy: null, // Hand slot whose throw set it moving
+        guides: []      // Snapping guides while held (see snapping.js)
+    };
+}
+
+// x/y is the center and w/h the size, in percent of the viewport; extra fields are kept like objects'
+export function createDropZoneState({ id, label = 'Drop Here', x = 0, y = 0, w = 0, h = 0, capacity = null, accepts = null, ...extra }) {
+    if (!id) {
+        throw new Error('Drop zones need an id');
+    }
+
+    return { ...extra, id, label, x, y, w, h, capacity, accepts, count: 0 };
+}
+
+export function createScene({
+    objects = [],
+    dropZones = [],
+    viewport = { width: 0, height: 0 },
+    numHands = CONFIG.mediapipe.numHands,
+    options = CONFIG.interaction,
+    mirror = CONFIG.camera.mirror
+} = {}) {
+    return {
+        hands: Array.from({ length: numHands }, (_, slot) => createHandState(options, slot)),
+        objects: objects.map(createObjectState),
+        dropZones: dropZones.map(createDropZoneState),
+        viewport,
+        mirror // Whether the display shows the camera mirrored
+    };
+}
+
+// ============================================
+// HAND TRACKING
+// ============================================
+// Landmark x is in camera space; cursors are in display percent
+export function toDisplayX(x, mirror) {
+    return (mirror ? 1 - x : x) * 100;
+}
+
+// Slots for the first `hands.length` detections; any beyond that have nowhere to go and are left out
+export function assignHandSlots(hands, allLandmarks, mirror = CONFIG.camera.mirror) {
+    const handLandmarks = allLandmarks.slice(0, hands.length);
+    const slots = new Array(handLandmarks.length).fill(-1);
+    const freeSlots = new Set(hands.keys());
+
+    // Match detections to the closest previously active cursor first
+    const pairs = [];
+    handLandmarks.forEach((landmarks, i) => {
+        const x = toDisplayX(landmarks[8].x, mirror);
+        const y = landmarks[8].y * 100;
+
+        hands.forEach((hand, slot) => {
+            if (!hand.active) return;
+            pairs.push({ i, slot, dist: Math.hypot(hand.cursor.x - x, hand.cursor.y - y) });
+        });
+    });
+    pairs.sort((a, b) => a.dist - b.dist);
+
+    for (const { i, slot } of pairs) {
+        if (slots[i] !== -1 || !freeSlots.has(slot)) continue;
+        slots[i] = slot;
+        freeSlots.delete(slot);
+    }
+
+    // New hands take the remaining slots in order
+    for (let i = 0; i < slots.length; i++) {
+        if (slots[i] !== -1) continue;
+        const [slot] = freeSlots;
+        slots[i] = slot;
+        freeSlots.delete(slot);
+    }
+
+    return slots;
+}
+
+export function deactivateHand(scene, slot, options = CONFIG.interaction) {
+    const hand = scene.hands[slot];
+    // Only a real pinch release throws; a hand that's gone (or a paused tracker) just lets go
+    const events = hand.grabbedObject ? releaseObject(scene, slot, options, { momentum: false }) : [];
+
+    if (hand.nearestObject) {
+        events.push({ type: 'hover', hand: slot, object: null, previous: hand.nearestObject });
+    }
+
+    hand.active = false;
+    hand.landmarks = null;
+    hand.isPinching = false;
+    hand.nearestObject = null;
+    resetFilters(hand);
+
+    return events;
+}
+
+export function resetFilters(hand) {
+    hand.filterX.reset();
+    hand.filterY.reset();
+    hand.predictX.reset();
+    hand.predictY.reset();
+    hand.landmarkSmoother?.reset();
+    hand.pinchStabilizer.reset();
+}
+
+// ============================================
+// INTERACTION
+// ============================================
+// The cursor filters the raw fingertip itself; everything else reads the smoothed joints
+export function smoothLandmarks(hand, landmarks, timestamp) {
+    hand.landmarks = hand.landmarkSmoother ? hand.landmarkSmoother.smooth(landmarks, timestamp) : landmarks;
+    return hand.landmarks;
+}
+
+export function processInteraction(scene, slot, landmarks, timestamp, options = CONFIG.interaction) {
+    const hand = scene.hands[slot];
+    const smoothed = smoothLandmarks(hand, landmarks, timestamp);
+    const indexTip = landmarks[8];
+    const events = [];
+
+    hand.active = true;
+
+    // Hand size for adaptive thresholds
+    hand.handSize = measureHandSize(smoothed);
+
+    // Cursor position (display space, filtered, then led ahead to make up for latency)
+    const rawX = toDisplayX(indexTip.x, scene.mirror);
+    const rawY = indexTip.y * 100;
+
+    hand.cursor.x = hand.predictX.predict(hand.filterX.filter(rawX, timestamp));
+    hand.cursor.y = hand.predictY.predict(hand.filterY.filter(rawY, timestamp));
+
+    // Pinch detection with hysteresis
+    hand.pinchDistance = measurePinch(smoothed);
+
+    const thresholds = pinchThresholds(options, hand.handSize);
+    const threshold = hand.isPinching ? thresholds.release : thresholds.engage;
+
+    const rawPinch = hand.pinchDistance < threshold;
+    const wasPinching = hand.isPinching;
+    hand.isPinching = hand.pinchStabilizer.update(rawPinch);
+
+    // Find nearest object
+    const previousNearest = hand.nearestObject;
+    findNearestObject(scene, hand, options);
+
+    if (!hand.grabbedObject && hand.nearestObject !== previousNearest) {
+        events.push({ type: 'hover', hand: slot, object: hand.nearestObject, previous: previousNearest });
+    }
+
+    // Grab/release
+    if (hand.isPinching && !wasPinching) {
+        events.push(...tryGrab(scene, slot));
+    } else if (!hand.isPinching && wasPinching) {
+        events.push(...releaseObject(scene, slot, options));
+    }
+
+    // Move grabbed
+    if (hand.grabbedObject) {
+        events.push(...moveGrabbed(scene, slot, options));
+        checkDropZone(scene, hand);
+    }
+
+    return events;
+}
+
+export function findNearestObject(scene, hand, options = CONFIG.interaction) {
+    if (hand.grabbedObject) return hand.nearestObject;
+
+    let nearest = null;
+    // A nearer hand looks bigger and sweeps more pixels, so it reaches further
+    let minDist = options.grabRadius * handScale(options, hand.handSize);
+
+    const { width, height } = scene.viewport;
+    const cursorPx = {
+        x: (hand.cursor.x / 100) * width,
+        y: (hand.cursor.y / 100) * height
+    };
+
+    scene.objects.forEach(obj => {
+        if (!canGrab(scene, obj)) return;
+
+        const objPx = {
+            x: (obj.x / 100) * width,
+            y: (obj.y / 100) * height
+        };
+
+        const dist = Math.sqrt(
+            Math.pow(cursorPx.x - objPx.x, 2) +
+            Math.pow(cursorPx.y - objPx.y, 2)
+        );
+
+        if (dist < minDist) {
+            minDist = dist;
+            nearest = obj;
+        }
+    });
+
+    hand.nearestObject = nearest;
+    return nearest;
+}
+
+export function getHoveredObjects(scene) {
+    return new Set(
+        scene.hands
+            .filter(hand => hand.active && !hand.grabbedObject && hand.nearestObject && !hand.nearestObject.isGrabbed)
+            .map(hand => hand.nearestObject)
+    );
+}
+
+export function getHolders(scene, obj) {
+    return scene.hands.filter(hand => hand.grabbedObject === obj);
+}
+
+// An object held by one hand can still be gripped by a second one, if it scales
+export function canGrab(scene, obj) {
+    const { grabbable, scalable } = obj.behavior;
+    return grabbable && !obj.inZone && getHolders(scene, obj).length < (scalable ? 2 : 1);
+}
+
+export function tryGrab(scene, slot) {
+    const hand = scene.hands[slot];
+    const obj = hand.nearestObject;
+    if (!obj || !canGrab(scene, obj)) return [];
+
+    const isSecondHand = obj.isGrabbed;
+
+    // Catching a thrown object stops it
+    obj.vx = 0;
+    obj.vy = 0;
+    obj.thrownBy = null;
+    obj.isGrabbed = true;
+    hand.grabbedObject = obj;
+    hand.nearestObject = null;
+
+    hand.grabOffset.x = obj.x - hand.cursor.x;
+    hand.grabOffset.y = obj.y - hand.cursor.y;
+
+    if (isSecondHand) {
+        beginTwoHandGrip(scene, obj);
+        return [{ type: 'gripStart', hand: slot, object: obj }];
+    }
+
+    return [{ type: 'grab', hand: slot, object: obj }];
+}
+
+export function moveGrabbed(scene, slot, options = CONFIG.interaction) {
+    const hand = scene.hands[slot];
+    const obj = hand.grabbedObject;
+    if (!obj) return [];
+
+    if (obj.grip) {
+        manipulateTwoHanded(scene, obj, options);
+    } else {
+        placeHeldObject(scene, obj, hand.cursor.x + hand.grabOffset.x, hand.cursor.y + hand.grabOffset.y, options);
+    }
+
+    return [{ type: 'move', hand: slot, object: obj }];
+}
+
+function placeHeldObject(scene, obj, x, y, options) {
+    const snapped = snapPosition(scene, obj, x, y, options);
+    obj.guides = snapped.guides;
+    obj.x = Math.max(OBJECT_BOUNDS.min, Math.min(OBJECT_BOUNDS.max, snapped.x));
+    obj.y = Math.max(OBJECT_BOUNDS.min, Math.min(OBJECT_BOUNDS.max, snapped.y));
+}
+
+// ============================================
+// TWO-HAND MANIPULATION
+// ============================================
+function measureGrip(scene, a, b) {
+    // Work in pixels so the angle is not skewed by the window's aspect ratio
+    const { width, height } = scene.viewport;
+    const dx = ((b.cursor.x - a.cursor.x) / 100) * width;
+    const dy = ((b.cursor.y - a.cursor.y) / 100) * height;
+
+    return {
+        distance: Math.max(Math.hypot(dx, dy), 1),
+        angle: Math.atan2(dy, dx) * 180 / Math.PI,
+        midX: (a.cursor.x + b.cursor.x) / 2,
+        midY: (a.cursor.y + b.cursor.y) / 2
+    };
+}
+
+function beginTwoHandGrip(scene, obj) {
+    const [a, b] = getHolders(scene, obj);
+    const grip = measureGrip(scene, a, b);
+
+    obj.grip = {
+        distance: grip.distance,
+        angle: grip.angle,
+        offsetX: obj.x - grip.midX,
+        offsetY: obj.y - grip.midY,
+        scale: obj.scale,
+        rotation: obj.rotation
+    };
+}
+
+function manipulateTwoHanded(scene, obj, options) {
+    const [a, b] = getHolders(scene, obj);
+    const grip = measureGrip(scene, a, b);
+    const start = obj.grip;
+
+    // Keep the angle delta continuous across the ±180° wrap
+    let angleDelta = grip.angle - start.angle;
+    angleDelta = ((angleDelta + 540) % 360) - 180;
+
+    obj.scale = Math.max(
+        options.minObjectScale,
+        Math.min(options.maxObjectScale, start.scale * grip.distance / start.distance)
+    );
+    obj.rotation = start.rotation + angleDelta;
+
+    placeHeldObject(scene, obj, grip.midX + start.offsetX, grip.midY + start.offsetY, options);
+}
+
+function endTwoHandGrip(scene, obj) {
+    obj.grip = null;
+
+    // The remaining hand carries on from where the object is now
+    const [remaining] = getHolders(scene, obj);
+    if (remaining) {
+        remaining.grabOffset.x = obj.x - remaining.cursor.x;
+        remaining.grabOffset.y = obj.y - remaining.cursor.y;
+    }
+}
+
+// ============================================
+// DROP ZONES
+// ============================================
+export function zoneAt(scene, x, y) {
+    return scene.dropZones.find(zone =>
+        x > zone.x - zone.w / 2 && x < zone.x + zone.w / 2 &&
+        y > zone.y - zone.h / 2 && y < zone.y + zone.h / 2
+    ) ?? null;
+}
+
+// null when the zone takes the object, otherwise 'type' or 'full'
+export function dropRejection(zone, obj) {
+    if (zone.accepts && !zone.accepts.includes(obj.type)) return 'type';
+    if (zone.capacity !== null && zone.count >= zone.capacity) return 'full';
+    return null;
+}
+
+export function checkDropZone(scene, hand) {
+    const obj = hand.grabbedObject;
+    if (!obj) return null;
+
+    hand.overZone = obj.behavior.droppable ? zoneAt(scene, obj.x, obj.y) : null;
+    hand.dropRejection = hand.overZone ? dropRejection(hand.overZone, obj) : null;
+
+    return hand.overZone;
+}
+
+// `momentum: false` puts the object down where it is instead of throwing it
+export function releaseObject(scene, slot, options = CONFIG.interaction, { momentum = true } = {}) {
+    const hand = scene.hands[slot];
+    const obj = hand.grabbedObject;
+    if (!obj) return [];
+
+    const { overZone: zone, dropRejection: rejection } = hand;
+    obj.guides = [];
+    hand.grabbedObject = null;
+    hand.overZone = null;
+    hand.dropRejection = null;
+
+    // Letting go with one of two hands only ends the scale/rotate grip
+    if (obj.grip) {
+        endTwoHandGrip(scene, obj);
+        return [{ type: 'gripEnd', hand: slot, object: obj }];
+    }
+
+    if (zone && !obj.inZone) {
+        return rejection ? rejectDrop(slot, obj, zone, rejection) : dropInZone(scene, slot, obj, zone);
+    }
+
+    obj.isGrabbed = false;
+    if (momentum) throwObject(obj, hand, slot, options.physics);
+    return [{ type: 'release', hand: slot, object: obj }];
+}
+
+// The object takes the cursor's filtered velocity; slow releases just put it down
+function throwObject(obj, hand, slot, physics) {
+    const vx = hand.filterX.velocity * physics.throwScale;
+    const vy = hand.filterY.velocity * physics.throwScale;
+    const speed = Math.hypot(vx, vy);
+    if (!physics.enabled || speed < physics.minThrowSpeed) return;
+
+    const k = Math.min(1, physics.maxThrowSpeed / speed);
+    obj.vx = vx * k;
+    obj.vy = vy * k;
+    obj.thrownBy = slot;
+}
+
+export function dropInZone(scene, slot, obj, zone) {
+    obj.inZone = true;
+    obj.zone = zone.id;
+    obj.isGrabbed = false;
+    obj.vx = 0;
+    obj.vy = 0;
+    obj.thrownBy = null;
+
+    obj.x = zone.x;
+    obj.y = zone.y;
+
+    zone.count++;
+
+    return [{ type: 'drop', hand: slot, object: obj, zone }];
+}
+
+// A turned-away object goes back to where it started
+function rejectDrop(slot, obj, zone, reason) {
+    obj.isGrabbed = false;
+    obj.x = obj.origX;
+    obj.y = obj.origY;
+
+    return [{ type: 'dropRejected', hand: slot, object: obj, zone, reason }];
+}
+
+// Takes an object out of the scene; hands holding or hovering it let go
+export function removeFromScene(scene, obj) {
+    const events = [];
+
+    scene.hands.forEach((hand, slot) => {
+        if (hand.grabbedObject === obj) {
+            hand.grabbedObject = null;
+            hand.overZone = null;
+            hand.dropRejection = null;
+            events.push({ type: 'release', hand: slot, object: obj });
+        }
+        if (hand.nearestObject === obj) {
+            hand.nearestObject = null;
+            events.push({ type: 'hover', hand: slot, object: null, previous: obj });
+        }
+    });
+
+    const zone = scene.dropZones.find(zone => zone.id === obj.zone);
+    if (zone) zone.count--;
+
+    // Every holder let go above, so there is no grip left to hand over
+    obj.grip = null;
+    obj.isGrabbed = false;
+    scene.objects.splice(scene.objects.indexOf(obj), 1);
+
+    return events;
+}
+
+export function resetScene(scene) {
+    scene.objects.forEach(obj => {
+        obj.x = obj.origX;
+        obj.y = obj.origY;
+        obj.scale = 1;
+        obj.rotation = 0;
+        obj.grip = null;
+        obj.isGrabbed = false;
+        obj.inZone = false;
+        obj.zone = null;
+        obj.vx = 0;
+        obj.vy = 0;
+        obj.thrownBy = null;
+        obj.guides = [];
+    });
+
+    scene.hands.forEach(hand => {
+        hand.grabbedObject = null;
+        hand.nearestObject = null;
+        hand.overZone = null;
+        hand.dropRejection = null;
+        resetFilters(hand);
+    });
+
+    scene.dropZones.forEach(zone => {
+        zone.count = 0;
+    });
+}
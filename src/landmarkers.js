@@ -0,0 +1,53 @@
+/**
+ * Spatial Hand Tracker - Landmarkers
+ * Creates the MediaPipe hand and face landmarkers. Shared by the main thread
+ * and the inference worker, so asset URLs must already be absolute.
+ */
+
+import { createWithFallback } from './delegates.js';
+
+// Module workers can't importScripts(), so they need the ES module build of the WASM loader
+export async function loadVision(assets, { useModule = false } = {}) {
+    const module = await import(assets.visionBundle);
+    const fileset = await module.FilesetResolver.forVisionTasks(assets.wasmPath, useModule);
+    return { module, fileset };
+}
+
+export function createHandLandmarker(vision, config, onFallback) {
+    return createWithFallback(delegate => vision.module.HandLandmarker.createFromOptions(vision.fileset, {
+        baseOptions: {
+            modelAssetPath: config.assets.handModel,
+            delegate
+        },
+        runningMode: 'VIDEO',
+        numHands: config.mediapipe.numHands,
+        minHandDetectionConfidence: config.mediapipe.minDetectionConfidence,
+        minHandPresenceConfidence: config.mediapipe.minPresenceConfidence,
+        minTrackingConfidence: config.mediapipe.minTrackingConfidence
+    }), config.mediapipe.delegate, onFallback);
+}
+
+// `handDelegate` is what the hands ended up on; no point retrying the GPU once they fell back
+export function createFaceLandmarker(vision, config, handDelegate, onFallback) {
+    const preference = handDelegate === 'CPU' ? 'CPU' : config.mediapipe.delegate;
+
+    return createWithFallback(delegate => vision.module.FaceLandmarker.createFromOptions(vision.fileset, {
+        baseOptions: {
+            modelAssetPath: config.assets.faceModel,
+            delegate
+        },
+        runningMode: 'VIDEO',
+        numFaces: config.mediapipe.numFaces,
+        minFaceDetectionConfidence: config.mediapipe.minFaceDetectionConfidence,
+        minFacePresenceConfidence: config.mediapipe.minFacePresenceConfidence
+    }), preference, onFallback);
+}
+
+// Only the fields the tracker reads, as plain data that survives postMessage
+export function toHandResults(result) {
+    return { landmarks: result.landmarks, handednesses: result.handednesses };
+}
+
+export function toFaceResults(result) {
+    return { faceLandmarks: result.faceLandmarks };
+}
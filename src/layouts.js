@@ -0,0 +1,271 @@
+/**
+ * Spatial Hand Tracker - Layouts
+ * Snapshots of where the objects are (position, scale, rotation and drop
+ * zone), kept in localStorage across reloads, saved under a name, or packed
+ * into a URL-safe string for sharing a layout by link.
+ */
+
+import { CONFIG } from './config.js';
+import { OBJECT_BOUNDS, dropRejection } from './interaction.js';
+
+export const LAYOUTS_STORAGE_KEY = 'spatial-tracker:layouts';
+export const LAYOUT_VERSION = 1;
+
+// ============================================
+// SNAPSHOTS
+// ============================================
+export function captureLayout(scene) {
+    return {
+        version: LAYOUT_VERSION,
+        objects: scene.objects.map(obj => ({
+            id: obj.id,
+            x: round(obj.x),
+            y: round(obj.y),
+            scale: round(obj.scale),
+            rotation: round(obj.rotation),
+            zone: obj.zone
+        }))
+    };
+}
+
+/**
+ * Puts the scene's objects where a layout has them. Objects the layout
+ * doesn't list stay put, and entries for objects the scene doesn't have are
+ * skipped. A zone that wouldn't take an object (type or capacity) leaves it
+ * at its position instead. Every hand lets go first; returns the `release`
+ * and `hover` events for that, like removeFromScene.
+ */
+export function restoreLayout(scene, layout) {
+    const entries = new Map(layout.objects.map(entry => [entry.id, entry]));
+    const events = [];
+
+    scene.hands.forEach((hand, slot) => {
+        if (hand.grabbedObject) {
+            events.push({ type: 'release', hand: slot, object: hand.grabbedObject });
+        }
+        if (hand.nearestObject) {
+            events.push({ type: 'hover', hand: slot, object: null, previous: hand.nearestObject });
+        }
+        hand.grabbedObject = null;
+        hand.nearestObject = null;
+        hand.overZone = null;
+        hand.dropRejection = null;
+    });
+
+    // Objects the layout leaves alone keep their places in the zones
+    scene.dropZones.forEach(zone => {
+        zone.count = scene.objects.filter(obj => obj.zone === zone.id && !entries.has(obj.id)).length;
+    });
+
+    scene.objects.forEach(obj => {
+        obj.isGrabbed = false;
+        obj.grip = null;
+        obj.vx = 0;
+        obj.vy = 0;
+        obj.thrownBy = null;
+        obj.guides = [];
+
+        const entry = entries.get(obj.id);
+        if (!entry) return;
+
+        let zone = obj.behavior.droppable ? scene.dropZones.find(zone => zone.id === entry.zone) : null;
+        if (zone && dropRejection(zone, obj)) zone = null;
+        if (zone) zone.count++;
+
+        obj.zone = zone?.id ?? null;
+        obj.inZone = Boolean(zone);
+        // Stored objects sit at the zone's center, wherever it is on this screen
+        obj.x = zone ? zone.x : entry.x;
+        obj.y = zone ? zone.y : entry.y;
+        obj.scale = entry.scale;
+        obj.rotation = entry.rotation;
+    });
+
+    return events;
+}
+
+/**
+ * Checks a layout from storage or a link and fills in scale and rotation.
+ * Positions are kept on screen and scales within the two-hand limits, as a
+ * shared link is anyone's input.
+ */
+export function parseLayout(layout, options = CONFIG.interaction) {
+    if (layout?.version !== LAYOUT_VERSION) {
+        throw new Error(`Unsupported layout version: ${layout?.version}`);
+    }
+    if (!Array.isArray(layout.objects)) {
+        throw new Error('Layout has no objects list');
+    }
+
+    return {
+        version: LAYOUT_VERSION,
+        objects: layout.objects.map(entry => {
+            if (!entry?.id || !Number.isFinite(entry.x) || !Number.isFinite(entry.y)) {
+                throw new Error('Layout entries need an id and a position');
+            }
+
+            return {
+                id: String(entry.id),
+                x: clamp(entry.x, OBJECT_BOUNDS.min, OBJECT_BOUNDS.max),
+                y: clamp(entry.y, OBJECT_BOUNDS.min, OBJECT_BOUNDS.max),
+                scale: Number.isFinite(entry.scale) ? clamp(entry.scale, options.minObjectScale, options.maxObjectScale) : 1,
+                rotation: Number.isFinite(entry.rotation) ? entry.rotation : 0,
+                zone: entry.zone ? String(entry.zone) : null
+            };
+        })
+    };
+}
+
+// ============================================
+// SHARING
+// ============================================
+// Base64url of the JSON, safe in a query string without escaping
+export function encodeLayout(layout) {
+    const bytes = new TextEncoder().encode(JSON.stringify(layout));
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+export function decodeLayout(code) {
+    const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    return parseLayout(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+// ============================================
+// STORAGE
+// ============================================
+// `current` is the layout as last left; `snapshots` are the named ones
+export function loadLayouts(storage) {
+    try {
+        const stored = JSON.parse(storage.getItem(LAYOUTS_STORAGE_KEY));
+        if (stored?.version === LAYOUT_VERSION) {
+            return { current: stored.current ?? null, snapshots: stored.snapshots ?? {} };
+        }
+    } catch (err) {
+        console.warn('Ignoring stored layouts:', err);
+    }
+
+    return { current: null, snapshots: {} };
+}
+
+export function saveLayouts(storage, { current, snapshots }) {
+    storage.setItem(LAYOUTS_STORAGE_KEY, JSON.stringify({ version: LAYOUT_VERSION, current, snapshots }));
+}
+
+// ============================================
+// PANEL
+// ============================================
+
+/**
+ * Wires the snapshot controls (`layoutSelect`, `saveButton`, `deleteButton`,
+ * `shareButton`); missing controls are skipped. The current layout is saved
+ * whenever an object is put down and when the page is left. On bind, a
+ * `shared` code from a link is restored, or else the layout from last time.
+ */
+export function bindLayoutPanel(tracker, el, { storage = localStorage, shared = null } = {}) {
+    const store = loadLayouts(storage);
+    let selected = null;
+
+    const remember = () => {
+        store.current = tracker.getLayout();
+        saveLayouts(storage, store);
+    };
+
+    const select = name => {
+        selected = name;
+        if (el.layoutSelect) el.layoutSelect.value = name ?? '';
+        if (el.deleteButton) el.deleteButton.disabled = !name;
+    };
+
+    const syncSnapshots = () => {
+        if (el.layoutSelect) {
+            el.layoutSelect.replaceChildren(new Option('Current', ''));
+            Object.keys(store.snapshots).sort().forEach(name => el.layoutSelect.add(new Option(name, name)));
+        }
+        select(selected);
+    };
+
+    // Moving anything away from a snapshot makes the layout "Current" again
+    for (const type of ['release', 'drop', 'dropRejected']) {
+        tracker.on(type, () => {
+            remember();
+            select(null);
+        });
+    }
+    window.addEventListener('pagehide', remember);
+
+    el.layoutSelect?.addEventListener('change', () => {
+        const name = el.layoutSelect.value || null;
+        if (name) {
+            tracker.setLayout(store.snapshots[name]);
+            remember();
+        }
+        select(name);
+    });
+
+    el.saveButton?.addEventListener('click', () => {
+        const name = prompt('Layout name', selected ?? '')?.trim();
+        if (!name) return;
+
+        store.snapshots[name] = tracker.getLayout();
+        saveLayouts(storage, store);
+        selected = name;
+        syncSnapshots();
+    });
+
+    el.deleteButton?.addEventListener('click', () => {
+        if (!selected) return;
+
+        delete store.snapshots[selected];
+        saveLayouts(storage, store);
+        selected = null;
+        syncSnapshots();
+    });
+
+    const shareLabel = el.shareButton?.textContent;
+    el.shareButton?.addEventListener('click', async () => {
+        if (!await shareLayout(tracker.getLayout())) return;
+
+        el.shareButton.textContent = 'Link copied';
+        setTimeout(() => { el.shareButton.textContent = shareLabel; }, 1500);
+    });
+
+    // A shared link wins over where this browser left off
+    try {
+        if (shared) {
+            tracker.setLayout(decodeLayout(shared));
+        } else if (store.current) {
+            tracker.setLayout(store.current);
+        }
+    } catch (err) {
+        console.warn('Ignoring saved layout:', err);
+    }
+
+    syncSnapshots();
+}
+
+// Copies a link to this page with the layout in `?layout=`; false when it had to be shown instead
+async function shareLayout(layout) {
+    const url = new URL(location.href);
+    url.searchParams.set('layout', encodeLayout(layout));
+
+    try {
+        await navigator.clipboard.writeText(url.href);
+        return true;
+    } catch (err) {
+        console.warn('Clipboard unavailable:', err);
+        prompt('Copy this link', url.href);
+        return false;
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
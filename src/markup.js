@@ -0,0 +1,245 @@
+/**
+ * Spatial Hand Tracker - Markup
+ * The viewport a SpatialTracker mounts into its container: video, skeleton
+ * canvas, hand pointers, drop zones, overlays and the start/loading screens,
+ * plus the page-wide air tap cursors.
+ */
+
+const POINTER_MARKUP = `
+    <div class="pointer-outer"></div>
+    <div class="pointer-inner"></div>
+    <div class="pointer-pulse"></div>`;
+
+const DROP_ZONE_MARKUP = `
+    <div class="drop-zone-content">
+        <div class="drop-icon">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4" />
+                <polyline points="7 10 12 15 17 10" />
+                <line x1="12" y1="15" x2="12" y2="3" />
+            </svg>
+        </div>
+        <span class="drop-text"></span>
+        <span class="drop-accepts"></span>
+        <span class="drop-count">0 items</span>
+    </div>
+    <div class="drop-zone-glow"></div>`;
+
+const MIDDLE_FINGER_MARKUP = `
+    <div class="middle-finger-vignette"></div>
+    <div class="middle-finger-text">
+        <span class="mf-emoji">😮</span>
+        <span class="mf-message">Tu fais quoi ?</span>
+    </div>`;
+
+const PERMISSION_MARKUP = `
+    <div class="permission-card">
+        <div class="permission-visual">
+            <div class="eye-visual">
+                <div class="eye-outer"></div>
+                <div class="eye-iris"></div>
+                <div class="eye-pupil"></div>
+                <div class="eye-shine"></div>
+            </div>
+            <div class="hand-visual">
+                <svg viewBox="0 0 64 64" fill="none">
+                    <path d="M32 56c-12 0-20-8-20-20V20c0-2 2-4 4-4s4 2 4 4v12" stroke="currentColor"
+                        stroke-width="2" stroke-linecap="round" />
+                    <path d="M20 28V16c0-2 2-4 4-4s4 2 4 4v12" stroke="currentColor" stroke-width="2"
+                        stroke-linecap="round" />
+                    <path d="M28 26V14c0-2 2-4 4-4s4 2 4 4v12" stroke="currentColor" stroke-width="2"
+                        stroke-linecap="round" />
+                    <path d="M36 28V18c0-2 2-4 4-4s4 2 4 4v18c0 12-8 20-20 20" stroke="currentColor"
+                        stroke-width="2" stroke-linecap="round" />
+                </svg>
+            </div>
+        </div>
+        <h1>Spatial Hand Tracking</h1>
+        <p>Experience intuitive spatial interactions using your hands</p>
+
+        <div class="feature-grid">
+            <div class="feature-item">
+                <div class="feature-icon">👁️</div>
+                <span>Eye-Hand Coordination</span>
+            </div>
+            <div class="feature-item">
+                <div class="feature-icon">🤏</div>
+                <span>Pinch to Interact</span>
+            </div>
+            <div class="feature-item">
+                <div class="feature-icon">✨</div>
+                <span>Spatial Objects</span>
+            </div>
+            <div class="feature-item">
+                <div class="feature-icon">🎯</div>
+                <span>Precision Tracking</span>
+            </div>
+        </div>
+
+        <button class="start-button">
+            <span>Enable Camera</span>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M5 12h14M12 5l7 7-7 7" />
+            </svg>
+        </button>
+
+        <p class="privacy-note">Camera data stays on your device</p>
+    </div>`;
+
+const CALIBRATION_MARKUP = `
+    <div class="calibration-card">
+        <span class="calibration-step"></span>
+        <p class="calibration-prompt"></p>
+        <div class="calibration-progress"><div class="calibration-bar"></div></div>
+        <button class="calibration-cancel">Cancel</button>
+    </div>`;
+
+const ERROR_MARKUP = `
+    <div class="permission-card error-card">
+        <div class="error-icon">⚠️</div>
+        <h1 class="error-title"></h1>
+        <p class="error-message"></p>
+        <button class="start-button error-retry">
+            <span class="error-retry-label">Try again</span>
+        </button>
+        <p class="privacy-note error-detail"></p>
+    </div>`;
+
+const LOADING_MARKUP = `
+    <div class="loading-spinner">
+        <div class="spinner-ring"></div>
+        <div class="spinner-ring"></div>
+        <div class="spinner-ring"></div>
+    </div>
+    <p class="loading-text">Initializing...</p>`;
+
+// Inner markup for the built-in object types; other types get a plain body
+export const OBJECT_BODIES = {
+    orb: '<div class="object-body orb-body"><div class="orb-shine"></div></div>',
+    cube: `<div class="object-body cube-body">
+        <div class="cube-face front"></div>
+        <div class="cube-face back"></div>
+        <div class="cube-face left"></div>
+        <div class="cube-face right"></div>
+        <div class="cube-face top"></div>
+        <div class="cube-face bottom"></div>
+    </div>`,
+    ring: '<div class="object-body ring-body"></div>',
+    gem: `<div class="object-body gem-body">
+        <div class="gem-facet f1"></div>
+        <div class="gem-facet f2"></div>
+    </div>`
+};
+
+function createElement(tag, className, html = '') {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.innerHTML = html;
+    return element;
+}
+
+/**
+ * Builds the tracker viewport inside `container` and returns its elements.
+ * `.floating-object` elements already in the container are moved into the
+ * objects layer so pages can declare their objects in markup.
+ */
+export function mountTracker(container, { numHands, dropZones = [] }) {
+    const presetObjects = [...container.querySelectorAll('.floating-object')];
+
+    const webcam = createElement('video', 'tracker-video');
+    webcam.autoplay = true;
+    webcam.playsInline = true;
+    webcam.muted = true;
+
+    const canvas = createElement('canvas', 'tracker-canvas');
+    const spatialObjects = createElement('div', 'spatial-objects');
+
+    // One pointer per hand slot, alternating the two pointer palettes
+    const handPointers = Array.from({ length: numHands }, (_, slot) =>
+        createElement('div', slot % 2 ? 'hand-pointer hand-pointer-2' : 'hand-pointer', POINTER_MARKUP)
+    );
+
+    // Air tap over the whole page needs cursors outside the (clipped) viewport
+    const airCursors = Array.from({ length: numHands }, (_, slot) =>
+        createElement('div', slot % 2 ? 'hand-pointer hand-pointer-2 air-cursor' : 'hand-pointer air-cursor', POINTER_MARKUP)
+    );
+
+    const dropZoneElements = dropZones.map(createDropZoneElement);
+    const middleFingerOverlay = createElement('div', 'middle-finger-overlay', MIDDLE_FINGER_MARKUP);
+    spatialObjects.append(...handPointers, ...presetObjects, ...dropZoneElements, middleFingerOverlay);
+
+    const permissionScreen = createElement('div', 'permission-screen', PERMISSION_MARKUP);
+    // Shares the permission screen's overlay and card styles
+    const errorScreen = createElement('div', 'permission-screen error-screen hidden', ERROR_MARKUP);
+    const loadingScreen = createElement('div', 'loading-screen hidden', LOADING_MARKUP);
+    const calibrationOverlay = createElement('div', 'calibration-overlay hidden', CALIBRATION_MARKUP);
+
+    container.classList.add('spatial-tracker');
+    container.append(webcam, canvas, spatialObjects, calibrationOverlay, permissionScreen, errorScreen, loadingScreen);
+    container.ownerDocument.body.append(...airCursors);
+
+    return {
+        container,
+        webcam,
+        canvas,
+        spatialObjects,
+        presetObjects,
+        handPointers,
+        airCursors,
+        dropZones: dropZoneElements,
+        middleFingerOverlay,
+        middleFingerText: middleFingerOverlay.querySelector('.middle-finger-text'),
+        permissionScreen,
+        startButton: permissionScreen.querySelector('.start-button'),
+        errorScreen,
+        errorTitle: errorScreen.querySelector('.error-title'),
+        errorMessage: errorScreen.querySelector('.error-message'),
+        errorDetail: errorScreen.querySelector('.error-detail'),
+        errorRetry: errorScreen.querySelector('.error-retry'),
+        errorRetryLabel: errorScreen.querySelector('.error-retry-label'),
+        loadingScreen,
+        loadingText: loadingScreen.querySelector('.loading-text'),
+        calibrationOverlay,
+        calibrationStep: calibrationOverlay.querySelector('.calibration-step'),
+        calibrationPrompt: calibrationOverlay.querySelector('.calibration-prompt'),
+        calibrationBar: calibrationOverlay.querySelector('.calibration-bar'),
+        calibrationCancel: calibrationOverlay.querySelector('.calibration-cancel'),
+        // Everything the tracker added, so destroy() can take it out again
+        mounted: [webcam, canvas, spatialObjects, calibrationOverlay, permissionScreen, errorScreen, loadingScreen, ...airCursors]
+    };
+}
+
+export function createDropZoneElement({ id, label = 'Drop Here', x, y, accepts = null }) {
+    const zoneEl = createElement('div', 'drop-zone', DROP_ZONE_MARKUP);
+
+    zoneEl.dataset.zone = id;
+    zoneEl.style.left = `${x}%`;
+    zoneEl.style.top = `${y}%`;
+    zoneEl.querySelector('.drop-text').textContent = label;
+    zoneEl.querySelector('.drop-accepts').textContent = accepts ? accepts.join(' · ') : '';
+    return zoneEl;
+}
+
+// A control-panel card showing the object's status
+export function createObjectCard({ id, type, label, hue = 200 }) {
+    const card = createElement('div', 'object-card',
+        `<div class="obj-preview ${type}-preview"></div><span></span><div class="obj-status">Free</div>`
+    );
+
+    card.dataset.obj = id;
+    card.style.setProperty('--hue', hue);
+    card.querySelector('span').textContent = label;
+    return card;
+}
+
+export function createObjectElement({ id, type, hue = 200 }) {
+    const objEl = createElement('div', 'floating-object',
+        (OBJECT_BODIES[type] ?? `<div class="object-body ${type}-body"></div>`) +
+        '<div class="object-reflection"></div>'
+    );
+
+    objEl.id = id;
+    objEl.dataset.type = type;
+    objEl.style.setProperty('--hue', hue);
+    return objEl;
+}
@@ -0,0 +1,155 @@
+/**
+ * Spatial Hand Tracker - Physics
+ * Momentum for released objects. A throw carries the cursor's velocity (see
+ * releaseObject); from there objects slow down with friction, bounce off the
+ * viewport edges and off each other, and land in a drop zone they fly into.
+ *
+ * Like the interaction module, this works on the plain scene and returns the
+ * events it produced.
+ */
+
+import { CONFIG } from './config.js';
+import { OBJECT_BOUNDS, zoneAt, dropRejection, dropInZone } from './interaction.js';
+
+// Free objects take part; held ones are solid but don't move; stored ones are out of play
+const isFree = obj => !obj.isGrabbed && !obj.inZone;
+const isMoving = obj => obj.vx !== 0 || obj.vy !== 0;
+
+/**
+ * Advances every moving object by `dt` seconds. Returns a `move` event per
+ * object that moved and a `drop` for each one that landed in a zone; those
+ * are marked `thrown`, as the throwing hand is elsewhere by then.
+ */
+export function stepPhysics(scene, dt, options = CONFIG.interaction) {
+    const { physics } = options;
+    if (!physics.enabled || dt <= 0) return [];
+
+    const events = [];
+    const moved = new Set();
+    const decay = Math.exp(-physics.friction * dt);
+
+    scene.objects.filter(obj => isFree(obj) && isMoving(obj)).forEach(obj => {
+        obj.vx *= decay;
+        obj.vy *= decay;
+
+        const from = { x: obj.x, y: obj.y };
+        obj.x += obj.vx * dt;
+        obj.y += obj.vy * dt;
+
+        bounceOffEdges(obj, physics);
+        if (!enterZone(scene, obj, from, physics, events)) {
+            moved.add(obj);
+        }
+    });
+
+    collide(scene, options.objectRadius, physics).forEach(obj => moved.add(obj));
+
+    moved.forEach(obj => {
+        if (obj.inZone) return;
+
+        if (Math.hypot(obj.vx, obj.vy) < physics.restSpeed) {
+            obj.vx = 0;
+            obj.vy = 0;
+            obj.thrownBy = null;
+        }
+        events.push({ type: 'move', hand: obj.thrownBy, object: obj });
+    });
+
+    return events;
+}
+
+function bounceOffEdges(obj, { restitution }) {
+    const { min, max } = OBJECT_BOUNDS;
+
+    if (obj.x < min || obj.x > max) {
+        obj.x = Math.max(min, Math.min(max, obj.x));
+        obj.vx = -obj.vx * restitution;
+    }
+    if (obj.y < min || obj.y > max) {
+        obj.y = Math.max(min, Math.min(max, obj.y));
+        obj.vy = -obj.vy * restitution;
+    }
+}
+
+// A zone that takes the object catches it; one that wouldn't bounces it back out
+function enterZone(scene, obj, from, physics, events) {
+    if (!obj.behavior.droppable) return false;
+
+    const zone = zoneAt(scene, obj.x, obj.y);
+    if (!zone || zoneAt(scene, from.x, from.y) === zone) return false;
+
+    if (!dropRejection(zone, obj)) {
+        events.push(...dropInZone(scene, obj.thrownBy, obj, zone).map(event => ({ ...event, thrown: true })));
+        return true;
+    }
+
+    // Flip whichever axis crossed the zone's edge
+    const crossedX = Math.abs(from.x - zone.x) >= zone.w / 2;
+    const crossedY = Math.abs(from.y - zone.y) >= zone.h / 2;
+    if (crossedX) obj.vx = -obj.vx * physics.restitution;
+    if (crossedY) obj.vy = -obj.vy * physics.restitution;
+    obj.x = from.x;
+    obj.y = from.y;
+    return false;
+}
+
+/**
+ * Pushes overlapping objects apart and exchanges momentum along the line
+ * between them. Works in pixels so round objects stay round on wide screens.
+ * Returns the free objects that were hit.
+ */
+function collide(scene, objectRadius, { restitution }) {
+    const { width, height } = scene.viewport;
+    const hit = new Set();
+    if (!width || !height) return hit;
+
+    const solid = scene.objects.filter(obj => !obj.inZone);
+
+    for (let i = 0; i < solid.length; i++) {
+        for (let j = i + 1; j < solid.length; j++) {
+            const a = solid[i];
+            const b = solid[j];
+            // Two resting or two held objects leave each other alone
+            if (!(isFree(a) && isMoving(a)) && !(isFree(b) && isMoving(b))) continue;
+            if (!isFree(a) && !isFree(b)) continue;
+
+            const dx = ((b.x - a.x) / 100) * width;
+            const dy = ((b.y - a.y) / 100) * height;
+            const distance = Math.hypot(dx, dy);
+            const reach = objectRadius * (a.scale + b.scale);
+            if (distance >= reach || distance === 0) continue;
+
+            const nx = dx / distance;
+            const ny = dy / distance;
+
+            // Held objects act like walls: the free one takes the whole push
+            const shareA = !isFree(a) ? 0 : !isFree(b) ? 1 : 0.5;
+            const shareB = 1 - shareA;
+            const overlap = reach - distance;
+            a.x -= (nx * overlap * shareA / width) * 100;
+            a.y -= (ny * overlap * shareA / height) * 100;
+            b.x += (nx * overlap * shareB / width) * 100;
+            b.y += (ny * overlap * shareB / height) * 100;
+
+            // Closing speed along the normal, in pixels per second
+            const closing = ((a.vx - b.vx) / 100) * width * nx + ((a.vy - b.vy) / 100) * height * ny;
+            if (closing > 0) {
+                const impulse = (1 + restitution) * closing;
+                a.vx -= (impulse * shareA * nx / width) * 100;
+                a.vy -= (impulse * shareA * ny / height) * 100;
+                b.vx += (impulse * shareB * nx / width) * 100;
+                b.vy += (impulse * shareB * ny / height) * 100;
+            }
+
+            // Whoever threw the first one gets the credit for what it knocks on
+            const thrownBy = a.thrownBy ?? b.thrownBy;
+            [a, b].filter(isFree).forEach(obj => {
+                obj.thrownBy ??= thrownBy;
+                bounceOffEdges(obj, { restitution });
+                hit.add(obj);
+            });
+        }
+    }
+
+    return hit;
+}
@@ -0,0 +1,78 @@
+/**
+ * Spatial Hand Tracker - Snapping
+ * Magnetic snapping for held objects, to a grid and to the centers and
+ * edges of the other objects. Close targets come back as guide lines, so
+ * the renderer can show them before the object jumps into place.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Where a held object goes when the hand puts it at `x`/`y` (percent), and
+ * the guides to draw: `{ axis: 'x' | 'y', at, strength }` with `at` in
+ * percent and `strength` 1 once snapped, fading towards 0 with distance.
+ */
+export function snapPosition(scene, obj, x, y, options = CONFIG.interaction) {
+    const { snap, objectRadius } = options;
+    const { width, height } = scene.viewport;
+    if ((!snap.grid && !snap.align) || !width || !height) {
+        return { x, y, guides: [] };
+    }
+
+    const others = snap.align ? scene.objects.filter(other => other !== obj && !other.inZone) : [];
+    const radius = objectRadius * obj.scale;
+    const guides = [];
+
+    const snapped = [['x', x, width], ['y', y, height]].map(([axis, value, size]) => {
+        const lines = [];
+
+        if (snap.grid) {
+            const cell = Math.floor((value / 100) * size / snap.gridSize);
+            lines.push({ at: cell * snap.gridSize, offsets: [0] }, { at: (cell + 1) * snap.gridSize, offsets: [0] });
+        }
+
+        // Centers line up with centers, edges with edges or flush against each other.
+        // Centers come first, so they win when both line up at once
+        others.forEach(other => {
+            const center = (other[axis] / 100) * size;
+            const otherRadius = objectRadius * other.scale;
+            [center, center - otherRadius, center + otherRadius].forEach(at => {
+                lines.push({ at, offsets: [0, -radius, radius] });
+            });
+        });
+
+        const result = snapAxis((value / 100) * size, lines, snap);
+        if (result.guide) {
+            guides.push({ axis, at: (result.guide.at / size) * 100, strength: result.guide.strength });
+        }
+        return (result.value / size) * 100;
+    });
+
+    return { x: snapped[0], y: snapped[1], guides };
+}
+
+// One axis in pixels: the nearest line an object feature could sit on
+function snapAxis(position, lines, { threshold, guideRange }) {
+    let best = null;
+
+    for (const { at, offsets } of lines) {
+        for (const offset of offsets) {
+            const target = at - offset;
+            const distance = Math.abs(position - target);
+            if (!best || distance < best.distance) best = { at, target, distance };
+        }
+    }
+
+    if (!best || best.distance > threshold * guideRange) {
+        return { value: position, guide: null };
+    }
+
+    if (best.distance <= threshold) {
+        return { value: best.target, guide: { at: best.at, strength: 1 } };
+    }
+
+    return {
+        value: position,
+        guide: { at: best.at, strength: 1 - (best.distance - threshold) / (threshold * (guideRange - 1)) }
+    };
+}
@@ -0,0 +1,1712 @@
+/**
+ * Spatial Hand Tracker - SpatialTracker
+ * An embeddable tracker: mounts into a container, owns its own camera, models,
+ * scene and config, and fires the public events on itself.
+ *
+ *     const tracker = new SpatialTracker(element, { interaction: { grabRadius: 120 } });
+ *     tracker.on('drop', ({ objectId }) => ...);
+ *     await tracker.start();
+ */
+
+import { CONFIG, mergeConfig } from './config.js';
+import { createGestureRegistry } from './gestures.js';
+import { TrackerEvents, normalizePoint } from './events.js';
+import { renderSkeleton, renderFace, renderGuides } from './render.js';
+import { mountTracker, createObjectElement, createObjectCard } from './markup.js';
+import { parseCatalog, normalizeObjectSpec } from './catalog.js';
+import { captureLayout, restoreLayout, parseLayout } from './layouts.js';
+import { stepPhysics } from './physics.js';
+import { describeDelegates } from './delegates.js';
+import { createInference, MainThreadInference } from './inference.js';
+import { PinchCalibration, CALIBRATION_PROMPTS } from './calibration.js';
+import { ERROR_SCREENS, classifyError } from './errors.js';
+import { AirPointer } from './airtap.js';
+import {
+    createHandState,
+    applyHandOptions,
+    createObjectState,
+    createDropZoneState,
+    assignHandSlots,
+    deactivateHand,
+    processInteraction,
+    smoothLandmarks,
+    toDisplayX,
+    getHoveredObjects,
+    removeFromScene,
+    resetScene
+} from './interaction.js';
+
+export const RECORDING_VERSION = 1;
+
+// Camera options that need a new stream when they change
+const STREAM_OPTIONS = ['deviceId', 'facingMode', 'width', 'height', 'frameRate'];
+
+const PUBLIC_INTERACTION_EVENTS = new Set(['grab', 'release', 'drop', 'dropRejected', 'hover']);
+
+const NO_FACES = { faceLandmarks: [] };
+
+// Seconds; longer gaps between frames (a stall, a hidden tab) don't fling objects across the screen
+const MAX_PHYSICS_STEP = 0.1;
+
+let nextTrackerId = 1;
+
+// Checks a recording before replay; every frame needs a timestamp and 21-point hands
+export function parseRecording(recording) {
+    if (recording?.version !== RECORDING_VERSION || !Array.isArray(recording.frames)) {
+        throw new Error('Unsupported recording format');
+    }
+
+    recording.frames.forEach((frame, i) => {
+        const hands = frame?.hands?.landmarks;
+        if (!Number.isFinite(frame?.t) || !Array.isArray(hands) || !hands.every(hand => Array.isArray(hand) && hand.length === 21)) {
+            throw new Error(`Recording frame ${i} is malformed`);
+        }
+    });
+
+    return recording;
+}
+
+export class SpatialTracker extends TrackerEvents {
+    /**
+     * @param {HTMLElement} container  Element the viewport is mounted into
+     * @param {object} config          Partial CONFIG, merged over the defaults
+     * @param {object} options
+     * @param {object} options.ui      Optional page chrome to keep up to date (pills, panel, notifications)
+     * @param {string} options.id      Reported as `trackerId` on the window events
+     * @param {boolean} options.mirrorEvents  Also fire `spatial:*` events on window
+     */
+    constructor(container, config = {}, {
+        ui = {},
+        id = container.id || `tracker-${nextTrackerId++}`,
+        mirrorEvents = true
+    } = {}) {
+        super({ id, mirrorTarget: mirrorEvents ? (globalThis.window ?? null) : null });
+
+        this.config = mergeConfig(CONFIG, config);
+        this.ui = ui;
+        this.el = mountTracker(container, {
+            numHands: this.config.mediapipe.numHands,
+            dropZones: this.config.dropZones
+        });
+
+        this.state = {
+            status: 'stopped', // 'running' | 'paused' | 'stopped'
+            isRunning: false,
+            isPaused: false,
+            pausedBy: null,    // 'user', or 'hidden' while the tab is in the background
+            error: null,       // { kind, message } while a recovery screen is up
+
+            // Render FPS counts animation frames, inference FPS the landmark results
+            fps: 0,
+            fpsCount: 0,
+            inferenceFps: 0,
+            inferenceCount: 0,
+            lastFpsTime: 0,
+            lastUiUpdate: 0,
+            lastVideoTime: -1,
+            handCount: 0,
+
+            canvas: this.el.canvas,
+            ctx: this.el.canvas.getContext('2d', { alpha: true, desynchronized: true }),
+            canvasW: 0,
+            canvasH: 0,
+            viewport: { width: 0, height: 0 },
+            mirror: this.config.camera.mirror,
+
+            // Per-hand tracking and interaction state (one slot per detectable hand)
+            hands: Array.from({ length: this.config.mediapipe.numHands }, (_, slot) => createHandState(this.config.interaction, slot)),
+
+            // Session recording / replay
+            recorder: null,
+            replay: null,
+
+            // Named gesture detectors, stabilized per hand
+            gestures: createGestureRegistry({ options: this.config.interaction }),
+
+            // Hands as pointers on the page, while interaction.airTap is on
+            airPointer: new AirPointer(container.ownerDocument),
+
+            // Running pinch calibration: { session, resolve, reject }
+            calibration: null,
+
+            // Last hand slots announced through `handsChanged`
+            handsSignature: '',
+
+            // Middle finger detection (doigt d'honneur)
+            middleFingerDetected: false,
+            middleFingerHand: null,
+            middleFingerZoom: 0, // 0 to 1 zoom progress
+
+            // Face tracking
+            faceEnabled: this.config.face.enabled,
+            faceFrame: 0,
+            lastFaceResults: null, // Reused between detections in low-rate mode
+            faceDetected: false,
+            faceLandmarks: null,
+            faceBox: null,
+
+            objects: [],
+            lastPhysicsTime: null, // Frame timestamp physics last advanced to
+
+            // Measured from their elements on resize
+            dropZones: this.config.dropZones.map((zone, i) => createDropZoneState({ ...zone, el: this.el.dropZones[i] }))
+        };
+
+        this.loading = null;
+        this.starting = null;
+        this.inference = null; // Set once the models are loaded
+        this.frameRequest = null;
+        this.streamRequest = 0; // Bumped by every camera request and by stop()
+        this.destroyed = false;
+        this.listeners = [];
+        this.tick = timestamp => this.processFrame(timestamp);
+
+        this.state.gestures.on('start', event => this.emitGestureEvent(event));
+        this.state.gestures.on('end', event => this.emitGestureEvent(event));
+
+        this.el.presetObjects.forEach(objEl => this.addObject(objEl));
+        this.bindControls();
+        this.applyMirror();
+        this.handleResize();
+        this.state.dropZones.forEach(zone => this.renderDropZone(zone));
+        this.updateCalibrationData();
+        this.updateStatusControls();
+    }
+
+    // ============================================
+    // LIFECYCLE
+    // ============================================
+
+    // Loads the models once; start() waits for it, pages may call it early to preload
+    load() {
+        this.loading ??= this.loadModels();
+        return this.loading;
+    }
+
+    // Calls made while starting share the same promise
+    async start() {
+        if (this.destroyed) return;
+        if (this.state.isPaused) return this.resume();
+        if (this.state.isRunning) return;
+
+        this.starting ??= this.launch().finally(() => { this.starting = null; });
+        return this.starting;
+    }
+
+    async launch() {
+        this.hideError();
+        const request = this.streamRequest;
+        if (!await this.load()) return;
+
+        // Stopped while the models were loading
+        if (request !== this.streamRequest) return;
+        await this.startCamera();
+    }
+
+    /**
+     * Freezes tracking but keeps the camera open so resume() is instant.
+     * Held objects are released, as if the hands had left the frame.
+     */
+    pause(reason = 'user') {
+        const { state } = this;
+        if (!state.isRunning || state.isPaused) return;
+
+        state.isPaused = true;
+        state.pausedBy = reason;
+        cancelAnimationFrame(this.frameRequest);
+        this.el.webcam.pause();
+        this.inference?.takeResult();
+
+        this.resetTracking();
+        this.setStatus('paused', reason);
+    }
+
+    resume() {
+        const { state } = this;
+        if (!state.isPaused) return;
+
+        state.isPaused = false;
+        state.pausedBy = null;
+        state.lastVideoTime = -1;
+        if (this.el.webcam.srcObject) {
+            this.el.webcam.play().catch(err => console.error('Camera error:', err));
+        }
+
+        this.frameRequest = requestAnimationFrame(this.tick);
+        this.setStatus('running');
+    }
+
+    /**
+     * Stops the frame loop and the camera; start() picks up again.
+     * `releaseModels` also closes the MediaPipe tasks (start() then reloads them).
+     */
+    stop({ releaseModels = false } = {}) {
+        this.cancelCalibration();
+        this.finishRecording();
+        if (this.state.replay) this.finishReplay();
+
+        this.state.isRunning = false;
+        this.state.isPaused = false;
+        this.state.pausedBy = null;
+        cancelAnimationFrame(this.frameRequest);
+
+        // Streams still waiting on getUserMedia are closed as they arrive
+        this.streamRequest++;
+        this.el.webcam.srcObject?.getTracks().forEach(track => track.stop());
+        this.el.webcam.srcObject = null;
+        this.state.lastVideoTime = -1;
+        this.inference?.takeResult();
+
+        if (releaseModels && this.inference) {
+            this.inference.close();
+            this.inference = null;
+            this.loading = null;
+        }
+
+        this.resetTracking();
+        this.state.ctx.clearRect(0, 0, this.state.canvasW, this.state.canvasH);
+        this.hideError();
+        this.el.loadingScreen.classList.add('hidden');
+        this.el.permissionScreen.classList.remove('hidden');
+        this.setStatus('stopped');
+    }
+
+    // Stops, releases the models and takes the viewport back out of the container
+    destroy() {
+        if (this.destroyed) return;
+
+        this.stop({ releaseModels: true });
+        this.destroyed = true;
+
+        this.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        this.resizeObserver?.disconnect();
+
+        // Objects declared in the page's markup go back where they came from
+        this.el.container.append(...this.el.presetObjects);
+        this.state.objects.forEach(obj => obj.card?.remove());
+        this.el.mounted.forEach(node => node.remove());
+        this.el.container.classList.remove('spatial-tracker');
+        delete this.el.container.dataset.replay;
+        delete this.el.container.dataset.status;
+        delete this.el.container.dataset.error;
+    }
+
+    get status() {
+        return this.state.status;
+    }
+
+    // ============================================
+    // OBJECTS
+    // ============================================
+    /**
+     * Adds a grabbable object. Takes an existing `.floating-object` element, or
+     * a catalog entry `{ id, type, label, hue, x, y, behavior }` to build one
+     * (x/y in percent of the viewport). Also adds its card to `ui.objectsGrid`
+     * unless the page already has one.
+     */
+    addObject(spec) {
+        const isElement = spec instanceof Element;
+        const object = normalizeObjectSpec(isElement ? readObjectElement(spec) : spec);
+
+        if (this.state.objects.some(obj => obj.id === object.id)) {
+            throw new Error(`Object "${object.id}" already exists`);
+        }
+
+        const objEl = isElement ? spec : createObjectElement(object);
+        if (objEl.parentNode !== this.el.spatialObjects) {
+            this.el.spatialObjects.insertBefore(objEl, this.el.dropZones[0] ?? this.el.middleFingerOverlay);
+        }
+
+        const obj = createObjectState({ ...object, el: objEl });
+        if (this.ui.objectsGrid && !this.objectCard(obj.id)) {
+            obj.card = createObjectCard(obj);
+            this.ui.objectsGrid.appendChild(obj.card);
+        }
+
+        this.state.objects.push(obj);
+        this.renderObject(obj);
+        return obj;
+    }
+
+    // Takes an object and its card away; a hand holding it just lets go
+    removeObject(id) {
+        const { state } = this;
+        const obj = state.objects.find(obj => obj.id === id);
+        if (!obj) {
+            throw new Error(`No object "${id}"`);
+        }
+
+        this.applyInteractionEvents(removeFromScene(state, obj));
+        state.dropZones.forEach(zone => this.renderDropZone(zone));
+
+        obj.el.remove();
+        this.objectCard(id)?.remove();
+        this.el.presetObjects = this.el.presetObjects.filter(objEl => objEl !== obj.el);
+
+        return obj;
+    }
+
+    // Replaces every object with a catalog's (see catalog.js); a bad catalog changes nothing
+    loadCatalog(catalog) {
+        const specs = parseCatalog(catalog);
+
+        [...this.state.objects].forEach(obj => this.removeObject(obj.id));
+        return specs.map(spec => this.addObject(spec));
+    }
+
+    // Where every object is now, as plain JSON (see layouts.js)
+    getLayout() {
+        return captureLayout(this.state);
+    }
+
+    setLayout(layout) {
+        this.applyInteractionEvents(restoreLayout(this.state, parseLayout(layout, this.config.interaction)));
+        this.renderScene();
+    }
+
+    // ============================================
+    // SETTINGS
+    // ============================================
+    // Merges overrides into this tracker's config and applies them to the running hands
+    configure(overrides) {
+        this.config = mergeConfig(this.config, overrides);
+
+        const options = this.config.interaction;
+        this.state.hands.forEach((hand, slot) => applyHandOptions(hand, options, slot));
+        this.state.gestures.setOptions(options);
+        this.updateCalibrationData();
+
+        return this.config;
+    }
+
+    // Switches the cursor filter ('oneEuro' or 'kalman') of one hand slot, or of all of them.
+    // It goes into the config, so later configure() calls and recordings keep it
+    setCursorFilter(type, slot = null) {
+        if (slot !== null && !this.state.hands[slot]) {
+            throw new Error(`No hand slot ${slot}`);
+        }
+
+        const cursorFilter = slot === null
+            ? type
+            : this.state.hands.map((hand, i) => (i === slot ? type : hand.filterType));
+        this.configure({ interaction: { cursorFilter } });
+    }
+
+    // Turns air tap on or off and/or picks its area, e.g. { enabled: true, area: 'page' }
+    setAirTap({ enabled, area } = {}) {
+        const airTap = {};
+        if (enabled !== undefined) airTap.enabled = Boolean(enabled);
+        if (area !== undefined) airTap.area = area;
+        this.configure({ interaction: { airTap } });
+
+        if (this.ui.airTapToggle) this.ui.airTapToggle.checked = this.config.interaction.airTap.enabled;
+    }
+
+    // Turns grid snapping and/or alignment with the other objects on or off, e.g. { grid: true }
+    setSnapping({ grid, align } = {}) {
+        const snap = {};
+        if (grid !== undefined) snap.grid = Boolean(grid);
+        if (align !== undefined) snap.align = Boolean(align);
+        this.configure({ interaction: { snap } });
+
+        const { ui } = this;
+        if (ui.snapGridToggle) ui.snapGridToggle.checked = this.config.interaction.snap.grid;
+        if (ui.snapAlignToggle) ui.snapAlignToggle.checked = this.config.interaction.snap.align;
+    }
+
+    // Disabling skips detection and the mesh; enabling loads the face model on first use
+    async setFaceTracking(enabled) {
+        const { state, ui } = this;
+
+        const wasFaceDetected = state.faceDetected;
+        state.faceEnabled = enabled;
+        state.lastFaceResults = null;
+        if (!enabled) state.faceDetected = false;
+
+        if (ui.faceToggle) ui.faceToggle.checked = enabled;
+        this.updateFaceIndicator();
+
+        if (!enabled) {
+            if (wasFaceDetected) this.emitFaceChanged();
+            return;
+        }
+
+        // Before load() the face model comes with the hand model
+        if (!this.inference) return;
+
+        try {
+            await this.inference.loadFace();
+            this.updateDelegateData();
+        } catch (err) {
+            console.error('Face tracker error:', err);
+            state.faceEnabled = false;
+            if (ui.faceToggle) ui.faceToggle.checked = false;
+            this.updateFaceIndicator();
+        }
+    }
+
+    // ============================================
+    // INITIALIZATION
+    // ============================================
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push([target, type, handler]);
+    }
+
+    bindControls() {
+        const { ui } = this;
+
+        this.listen(this.el.startButton, 'click', () => this.start());
+        this.listen(this.el.errorRetry, 'click', () => this.retry());
+        if (ui.resetButton) this.listen(ui.resetButton, 'click', () => this.resetObjects());
+        if (ui.pauseButton) {
+            this.listen(ui.pauseButton, 'click', () => (this.state.isPaused ? this.resume() : this.pause()));
+        }
+        if (ui.stopButton) this.listen(ui.stopButton, 'click', () => this.stop());
+        this.listen(document, 'visibilitychange', () => this.handleVisibilityChange());
+        if (ui.recordButton) this.listen(ui.recordButton, 'click', () => this.toggleRecording());
+        if (ui.faceToggle) {
+            ui.faceToggle.checked = this.state.faceEnabled;
+            this.listen(ui.faceToggle, 'change', () => this.setFaceTracking(ui.faceToggle.checked));
+        }
+        if (ui.calibrateButton) {
+            this.listen(ui.calibrateButton, 'click', () => {
+                this.calibratePinch().catch(err => console.warn('Pinch calibration:', err.message));
+            });
+        }
+        this.listen(this.el.calibrationCancel, 'click', () => this.cancelCalibration());
+        if (ui.cameraSelect) {
+            this.listen(ui.cameraSelect, 'change', () => this.setCamera({ deviceId: ui.cameraSelect.value }));
+            if (navigator.mediaDevices) {
+                this.listen(navigator.mediaDevices, 'devicechange', () => {
+                    this.updateCameraSelect().catch(err => console.warn('Camera list:', err.message));
+                });
+            }
+        }
+        if (ui.resolutionSelect) {
+            this.listen(ui.resolutionSelect, 'change', () => {
+                const [width, height] = ui.resolutionSelect.value.split('x').map(Number);
+                this.setCamera({ width, height });
+            });
+        }
+        if (ui.frameRateSelect) {
+            this.listen(ui.frameRateSelect, 'change', () => this.setCamera({ frameRate: Number(ui.frameRateSelect.value) }));
+        }
+        if (ui.mirrorToggle) {
+            this.listen(ui.mirrorToggle, 'change', () => this.setCamera({ mirror: ui.mirrorToggle.checked }));
+        }
+        if (ui.airTapToggle) {
+            ui.airTapToggle.checked = this.config.interaction.airTap.enabled;
+            this.listen(ui.airTapToggle, 'change', () => this.setAirTap({ enabled: ui.airTapToggle.checked }));
+        }
+        if (ui.snapGridToggle) {
+            ui.snapGridToggle.checked = this.config.interaction.snap.grid;
+            this.listen(ui.snapGridToggle, 'change', () => this.setSnapping({ grid: ui.snapGridToggle.checked }));
+        }
+        if (ui.snapAlignToggle) {
+            ui.snapAlignToggle.checked = this.config.interaction.snap.align;
+            this.listen(ui.snapAlignToggle, 'change', () => this.setSnapping({ align: ui.snapAlignToggle.checked }));
+        }
+        this.updateCameraControls();
+        if (ui.replayButton && ui.replayInput) {
+            this.listen(ui.replayButton, 'click', () => ui.replayInput.click());
+            this.listen(ui.replayInput, 'change', () => this.loadReplayFile());
+        }
+
+        // Embedded containers can change size without the window resizing
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.el.container);
+        } else {
+            this.listen(window, 'resize', () => this.handleResize());
+        }
+    }
+
+    async loadModels() {
+        const { el, state } = this;
+        const onStatus = text => { el.loadingText.textContent = text; };
+
+        // The worker has no page to resolve relative asset URLs against
+        const config = { ...this.config, assets: resolveAssets(this.config.assets) };
+
+        try {
+            el.loadingScreen.classList.remove('hidden');
+
+            let inference = createInference(config);
+            try {
+                await inference.load({ face: state.faceEnabled, onStatus });
+            } catch (err) {
+                if (inference.mode !== 'worker' || config.mediapipe.inference !== 'auto') throw err;
+
+                // No module workers, or no WebGL inside them: stay on the main thread
+                console.warn('Worker inference failed, using the main thread:', err);
+                inference.close();
+                inference = new MainThreadInference(config);
+                await inference.load({ face: state.faceEnabled, onStatus });
+            }
+
+            // Destroyed while the models were still downloading
+            if (this.destroyed) {
+                inference.close();
+                return false;
+            }
+
+            this.inference = inference;
+
+            // Face tracking was switched on while the models were loading
+            if (state.faceEnabled && !inference.delegates.face) {
+                await inference.loadFace();
+            }
+
+            this.updateDelegateData();
+            el.loadingScreen.classList.add('hidden');
+            return true;
+
+        } catch (err) {
+            console.error('Init error:', err);
+            // Let a later start() try again
+            this.loading = null;
+            this.showError(classifyError(err, 'models'), err);
+            return false;
+        }
+    }
+
+    updateDelegateData() {
+        const { inference, ui } = this;
+        if (!ui.delegateData || !inference) return;
+
+        const where = inference.mode === 'worker' ? 'Worker' : 'Main thread';
+        ui.delegateData.textContent = `${describeDelegates(inference.delegates)} · ${where}`;
+    }
+
+    updateDropZones() {
+        const containerRect = this.el.container.getBoundingClientRect();
+        if (!containerRect.width || !containerRect.height) return;
+
+        this.state.dropZones.forEach(zone => {
+            const rect = zone.el.getBoundingClientRect();
+
+            zone.x = ((rect.left - containerRect.left + rect.width / 2) / containerRect.width) * 100;
+            zone.y = ((rect.top - containerRect.top + rect.height / 2) / containerRect.height) * 100;
+            zone.w = (rect.width / containerRect.width) * 100;
+            zone.h = (rect.height / containerRect.height) * 100;
+        });
+    }
+
+    handleResize() {
+        const { state } = this;
+        const container = this.el.container;
+
+        state.canvas.width = container.clientWidth;
+        state.canvas.height = container.clientHeight;
+        state.canvasW = container.clientWidth;
+        state.canvasH = container.clientHeight;
+        // Replays keep the recorded size, as grab radius, snapping and collisions work in its pixels
+        state.viewport = state.replay?.viewport ?? { width: container.clientWidth, height: container.clientHeight };
+        this.updateDropZones();
+    }
+
+    // Background tabs pause; coming back only resumes what was paused for that reason
+    handleVisibilityChange() {
+        if (!this.config.camera.pauseWhenHidden) return;
+
+        if (document.hidden) {
+            this.pause('hidden');
+        } else if (this.state.pausedBy === 'hidden') {
+            this.resume();
+        }
+    }
+
+    setStatus(status, reason = null) {
+        if (this.state.status === status) return;
+
+        this.state.status = status;
+        this.updateStatusControls();
+        this.emit('statusChanged', { status, reason });
+    }
+
+    updateStatusControls() {
+        const { ui } = this;
+        const { status } = this.state;
+        this.el.container.dataset.status = status;
+
+        if (ui.pauseButton) {
+            ui.pauseButton.disabled = status === 'stopped';
+            ui.pauseButton.classList.toggle('active', status === 'paused');
+            const label = ui.pauseButton.querySelector('.session-label') ?? ui.pauseButton;
+            label.textContent = status === 'paused' ? 'Resume' : 'Pause';
+        }
+        if (ui.stopButton) ui.stopButton.disabled = status === 'stopped';
+    }
+
+    // ============================================
+    // ERRORS
+    // ============================================
+    showError(kind, err = null) {
+        const { el } = this;
+        const screen = ERROR_SCREENS[kind] ?? ERROR_SCREENS.unknown;
+        this.state.error = { kind, message: err?.message ?? screen.title };
+
+        el.errorTitle.textContent = screen.title;
+        el.errorMessage.textContent = screen.message;
+        el.errorDetail.textContent = err?.message ?? '';
+        el.errorRetryLabel.textContent = screen.retry;
+
+        el.loadingScreen.classList.add('hidden');
+        el.permissionScreen.classList.add('hidden');
+        el.errorScreen.classList.remove('hidden');
+        el.container.dataset.error = kind;
+
+        this.emit('error', { ...this.state.error });
+    }
+
+    hideError() {
+        this.state.error = null;
+        this.el.errorScreen.classList.add('hidden');
+        delete this.el.container.dataset.error;
+    }
+
+    // The recovery screen's button; without WebGL the retry runs on the CPU
+    async retry() {
+        if (this.state.error?.kind === 'webgl-unavailable') {
+            this.config = mergeConfig(this.config, { mediapipe: { delegate: 'CPU' } });
+        }
+
+        await this.start();
+    }
+
+    // ============================================
+    // CAMERA
+    // ============================================
+    async startCamera() {
+        const { el } = this;
+
+        try {
+            el.permissionScreen.classList.add('hidden');
+            el.loadingScreen.classList.remove('hidden');
+            el.loadingText.textContent = 'Accessing camera...';
+
+            if (!await this.openStream()) return;
+
+            el.loadingScreen.classList.add('hidden');
+
+            this.state.isRunning = true;
+            this.frameRequest = requestAnimationFrame(this.tick);
+            this.setStatus('running');
+
+            // Device labels are only readable once the camera is allowed
+            this.updateCameraSelect().catch(err => console.warn('Camera list:', err.message));
+
+        } catch (err) {
+            console.error('Camera error:', err);
+            this.showError(classifyError(err, 'camera'), err);
+        }
+    }
+
+    // Opens the configured camera in place of the current stream; false if stopped or superseded meanwhile
+    async openStream() {
+        const { el } = this;
+        const request = ++this.streamRequest;
+
+        // Some cameras can't serve two streams, so the old one goes first
+        el.webcam.srcObject?.getTracks().forEach(track => track.stop());
+        el.webcam.srcObject = null;
+
+        // Missing outside secure contexts
+        if (!navigator.mediaDevices?.getUserMedia) {
+            throw new DOMException('Camera API unavailable', 'NotFoundError');
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ video: this.videoConstraints() });
+        } catch (err) {
+            // Only the latest request reports its failure
+            if (request !== this.streamRequest) return false;
+            throw err;
+        }
+
+        // Stopped, destroyed or asked for another camera while waiting for the permission prompt
+        if (this.destroyed || request !== this.streamRequest) {
+            stream.getTracks().forEach(track => track.stop());
+            return false;
+        }
+
+        el.webcam.srcObject = stream;
+        try {
+            await el.webcam.play();
+        } catch (err) {
+            // A newer stream or stop() interrupts play(); that request takes over
+            if (request !== this.streamRequest) return false;
+            throw err;
+        }
+        if (request !== this.streamRequest) return false;
+
+        // Unplugged, revoked or taken over by the system
+        stream.getVideoTracks()[0]?.addEventListener('ended', () => this.handleStreamEnded(stream));
+
+        this.state.lastVideoTime = -1;
+        this.handleResize();
+        return true;
+    }
+
+    // Ignores streams that were already replaced or stopped on purpose
+    handleStreamEnded(stream) {
+        if (this.el.webcam.srcObject !== stream) return;
+
+        console.warn('Camera stream ended');
+        this.stop();
+        this.showError('camera-ended');
+    }
+
+    videoConstraints() {
+        const { deviceId, facingMode, width, height, frameRate } = this.config.camera;
+
+        return {
+            ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode }),
+            width: { ideal: width },
+            height: { ideal: height },
+            frameRate: { ideal: frameRate }
+        };
+    }
+
+    // Video inputs as { deviceId, label }; labels stay empty until the camera is allowed
+    async listCameras() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+    }
+
+    /**
+     * Changes camera options ({ deviceId, facingMode, width, height,
+     * frameRate, mirror }). A running stream is reopened when the device or
+     * format changes; mirroring applies straight away.
+     */
+    async setCamera(options) {
+        const previous = this.config.camera;
+        this.config = mergeConfig(this.config, { camera: options });
+        this.applyMirror();
+        this.updateCameraControls();
+
+        const { camera } = this.config;
+        const reopen = STREAM_OPTIONS.some(key => camera[key] !== previous[key]);
+
+        // A camera still starting opens with the old options, then switches
+        await this.starting;
+        if (!reopen || !this.el.webcam.srcObject) return;
+
+        // Hands would jump between the two feeds
+        this.inference?.takeResult();
+        this.resetTracking();
+
+        try {
+            await this.openStream();
+        } catch (err) {
+            console.error('Camera error:', err);
+            this.stop();
+            this.showError(classifyError(err, 'camera'), err);
+        }
+    }
+
+    // Cursor math, skeleton and video all flip together
+    applyMirror() {
+        const { mirror } = this.config.camera;
+        // A replay keeps the recorded mirroring; this one applies when it ends
+        if (this.state.replay) return;
+        if (mirror !== this.state.mirror) this.resetTracking();
+
+        this.state.mirror = mirror;
+        this.el.container.classList.toggle('mirrored', mirror);
+    }
+
+    async updateCameraSelect() {
+        const select = this.ui.cameraSelect;
+        if (!select || !navigator.mediaDevices?.enumerateDevices) return;
+
+        const cameras = await this.listCameras();
+        const activeId = this.el.webcam.srcObject?.getVideoTracks()[0]?.getSettings().deviceId;
+
+        select.replaceChildren(...cameras.map(({ deviceId, label }) => new Option(label, deviceId)));
+        select.value = this.config.camera.deviceId ?? activeId ?? '';
+        select.disabled = cameras.length < 2;
+    }
+
+    updateCameraControls() {
+        const { ui } = this;
+        const { width, height, frameRate, mirror } = this.config.camera;
+
+        if (ui.resolutionSelect) ui.resolutionSelect.value = `${width}x${height}`;
+        if (ui.frameRateSelect) ui.frameRateSelect.value = String(frameRate);
+        if (ui.mirrorToggle) ui.mirrorToggle.checked = mirror;
+    }
+
+    // ============================================
+    // FRAME PROCESSING
+    // ============================================
+    processFrame(timestamp) {
+        const { state, config } = this;
+        if (!state.isRunning || state.isPaused) return;
+
+        // FPS
+        state.fpsCount++;
+        if (timestamp - state.lastFpsTime >= 1000) {
+            state.fps = state.fpsCount;
+            state.inferenceFps = state.inferenceCount;
+            state.fpsCount = 0;
+            state.inferenceCount = 0;
+            state.lastFpsTime = timestamp;
+        }
+
+        // Landmarks come from a recording, or from the models whenever they finish a frame
+        if (state.replay) {
+            const frame = this.nextReplayFrame();
+            if (!frame) {
+                this.finishReplay();
+                if (state.isRunning) this.frameRequest = requestAnimationFrame(this.tick);
+                return;
+            }
+            this.processResults(frame);
+            // Recorded timestamps keep replays repeatable
+            this.stepScene(frame.timestamp);
+        } else {
+            const frame = this.nextLiveFrame(timestamp);
+            if (frame) this.processResults(frame);
+            // Thrown objects glide every display frame, not just when the models finish one
+            this.stepScene(timestamp);
+        }
+
+        // UI update (throttled)
+        if (timestamp - state.lastUiUpdate >= config.rendering.uiUpdateInterval) {
+            this.updateUI();
+            state.lastUiUpdate = timestamp;
+        }
+
+        this.frameRequest = requestAnimationFrame(this.tick);
+    }
+
+    processResults(frame) {
+        const { state, config } = this;
+        const { handResults, faceResults } = frame;
+        const frameTime = frame.timestamp;
+
+        state.inferenceCount++;
+
+        if (state.recorder) {
+            this.recordFrame(frame);
+        }
+
+        // Clear
+        state.ctx.clearRect(0, 0, state.canvasW, state.canvasH);
+
+        // Recordings can hold more hands than this tracker has slots; the extra ones are ignored
+        const handLandmarks = (handResults.landmarks || []).slice(0, state.hands.length);
+        const numHands = handLandmarks.length;
+        state.handCount = numHands;
+        // Recorded faces are ignored too while face tracking is off
+        const numFaces = state.faceEnabled ? faceResults.faceLandmarks?.length || 0 : 0;
+
+        // Process faces
+        const wasFaceDetected = state.faceDetected;
+        state.faceDetected = numFaces > 0;
+        if (numFaces > 0) {
+            state.faceLandmarks = faceResults.faceLandmarks[0];
+            renderFace(state.ctx, state.faceLandmarks, state.canvasW, state.canvasH, state.mirror);
+        }
+        this.updateFaceIndicator();
+
+        if (state.faceDetected !== wasFaceDetected) {
+            this.emitFaceChanged();
+        }
+
+        // Keep each physical hand in the same slot across frames
+        const slots = assignHandSlots(state.hands, handLandmarks, state.mirror);
+        const landmarksBySlot = [];
+        const handednesses = [];
+
+        // Every detected hand gets its own cursor, pinch and grab; this also smooths its landmarks
+        if (state.calibration) {
+            this.calibrateFrame(handLandmarks, slots, frameTime);
+        } else {
+            for (let i = 0; i < numHands; i++) {
+                const events = processInteraction(state, slots[i], handLandmarks[i], frameTime, config.interaction);
+                this.applyInteractionEvents(events);
+                this.updateAirTap(slots[i]);
+                this.updatePointer(slots[i]);
+            }
+        }
+
+        if (numHands > 0) {
+            // Process all detected hands
+            state.ctx.save();
+            if (state.mirror) {
+                state.ctx.translate(state.canvasW, 0);
+                state.ctx.scale(-1, 1);
+            }
+
+            for (let i = 0; i < numHands; i++) {
+                const { landmarks } = state.hands[slots[i]];
+                const handedness = handResults.handednesses?.[i]?.[0]?.categoryName || 'Unknown';
+                landmarksBySlot[slots[i]] = landmarks;
+                handednesses[i] = handedness;
+
+                // Render skeleton for each hand with its slot's colors
+                renderSkeleton(state.ctx, landmarks, state.canvasW, state.canvasH, slots[i]);
+
+                // Run every registered gesture detector on this hand
+                state.gestures.update(slots[i], landmarks, handedness);
+            }
+
+            state.ctx.restore();
+        }
+
+        // Hands that left the frame drop whatever they were holding
+        state.hands.forEach((hand, slot) => {
+            if (hand.active && !slots.includes(slot)) {
+                this.releaseHand(slot);
+            }
+        });
+
+        // Guides are in screen space, so they're drawn outside the mirror transform
+        const guides = state.objects.flatMap(obj => (obj.isGrabbed ? obj.guides : []));
+        renderGuides(state.ctx, guides, state.canvasW, state.canvasH);
+
+        this.updateHoverStates();
+        this.updateHandPresence(slots, handednesses);
+
+        // Middle finger overlay follows whichever hand is showing it
+        const middleFingerSlot = state.gestures.findHand('middleFinger');
+
+        if (middleFingerSlot !== -1) {
+            state.middleFingerDetected = true;
+            state.middleFingerHand = landmarksBySlot[middleFingerSlot];
+            // Smooth zoom in
+            state.middleFingerZoom = Math.min(1, state.middleFingerZoom + 0.08);
+        } else {
+            state.middleFingerDetected = false;
+            // Smooth zoom out
+            state.middleFingerZoom = Math.max(0, state.middleFingerZoom - 0.05);
+        }
+
+        this.updateMiddleFingerOverlay();
+    }
+
+    // Thrown objects carry on whether or not a hand is in view
+    stepScene(time) {
+        const { state } = this;
+        const dt = state.lastPhysicsTime === null ? 0 : Math.min((time - state.lastPhysicsTime) / 1000, MAX_PHYSICS_STEP);
+        state.lastPhysicsTime = time;
+        this.applyInteractionEvents(stepPhysics(state, dt, this.config.interaction));
+    }
+
+    // Hands the newest video frame to the models and picks up whatever they finished
+    nextLiveFrame(timestamp) {
+        const { state, inference } = this;
+        const video = this.el.webcam;
+
+        // Not every browser fires `ended` on the track
+        if (video.srcObject && !video.srcObject.active) {
+            this.handleStreamEnded(video.srcObject);
+            return null;
+        }
+
+        if (!inference.busy && video.readyState >= 2 && video.currentTime !== state.lastVideoTime) {
+            state.lastVideoTime = video.currentTime;
+            inference.submit(video, timestamp, this.shouldDetectFace());
+        }
+
+        const result = inference.takeResult();
+        if (!result) return null;
+
+        // Frames the face model skipped reuse its last result
+        if (result.faceResults) state.lastFaceResults = result.faceResults;
+
+        return {
+            ...result,
+            faceResults: state.faceEnabled ? state.lastFaceResults ?? NO_FACES : NO_FACES
+        };
+    }
+
+    shouldDetectFace() {
+        const { state } = this;
+        if (!state.faceEnabled) return false;
+
+        // Low-rate mode: only every Nth frame runs the face model
+        const interval = Math.max(1, Math.round(this.config.face.interval));
+        const due = state.faceFrame % interval === 0;
+        state.faceFrame++;
+
+        return due || !state.lastFaceResults;
+    }
+
+    releaseHand(slot) {
+        this.applyInteractionEvents(deactivateHand(this.state, slot, this.config.interaction));
+        this.state.gestures.clearHand(slot);
+        this.el.handPointers[slot]?.classList.remove('visible', 'pinching', 'near-object');
+        this.releaseAirTap(slot);
+    }
+
+    resetTracking() {
+        const { state } = this;
+
+        // The next frame picks up from its own timestamp, not across the gap
+        state.lastPhysicsTime = null;
+
+        state.hands.forEach((hand, slot) => this.releaseHand(slot));
+        this.updateHandPresence([], []);
+
+        state.middleFingerDetected = false;
+        state.middleFingerHand = null;
+        state.middleFingerZoom = 0;
+        this.updateMiddleFingerOverlay();
+    }
+
+    // ============================================
+    // PINCH CALIBRATION
+    // ============================================
+
+    /**
+     * Walks the user through open hand / pinch / release a few times and
+     * switches to thresholds relative to their hand size. Resolves with
+     * `{ pinch, release }` once applied; rejects when cancelled or when the
+     * poses couldn't be told apart.
+     */
+    calibratePinch(options = {}) {
+        this.cancelCalibration();
+        // Nothing may stay grabbed while the user is told to pinch
+        this.resetTracking();
+
+        return new Promise((resolve, reject) => {
+            this.state.calibration = { session: new PinchCalibration(options), resolve, reject };
+            this.el.calibrationOverlay.classList.remove('hidden', 'failed');
+            this.el.calibrationCancel.textContent = 'Cancel';
+            this.updateCalibrationOverlay(true);
+        });
+    }
+
+    // Also dismisses the overlay of a failed calibration
+    cancelCalibration() {
+        const { calibration } = this.state;
+        this.el.calibrationOverlay.classList.add('hidden');
+        if (!calibration) return;
+
+        this.state.calibration = null;
+        calibration.reject(new Error('Calibration cancelled'));
+    }
+
+    // Hands only get smoothed while calibrating; the first one is measured
+    calibrateFrame(handLandmarks, slots, frameTime) {
+        const { session } = this.state.calibration;
+
+        handLandmarks.forEach((landmarks, i) => smoothLandmarks(this.state.hands[slots[i]], landmarks, frameTime));
+        if (handLandmarks.length > 0) {
+            session.addFrame(this.state.hands[slots[0]].landmarks);
+        }
+
+        this.updateCalibrationOverlay(handLandmarks.length > 0);
+        if (session.done) this.completeCalibration();
+    }
+
+    completeCalibration() {
+        const { session, resolve, reject } = this.state.calibration;
+        this.state.calibration = null;
+
+        let calibration;
+        try {
+            calibration = session.result();
+        } catch (err) {
+            // Leave the overlay up with the reason until it's dismissed
+            this.el.calibrationOverlay.classList.add('failed');
+            this.el.calibrationPrompt.textContent = err.message;
+            this.el.calibrationCancel.textContent = 'Close';
+            reject(err);
+            return;
+        }
+
+        this.el.calibrationOverlay.classList.add('hidden');
+        this.configure({ interaction: { pinchCalibration: calibration } });
+        this.emit('calibrated', calibration);
+        resolve(calibration);
+    }
+
+    updateCalibrationOverlay(handVisible) {
+        const { el } = this;
+        const { session } = this.state.calibration;
+        if (session.done) return;
+
+        el.calibrationStep.textContent = `Round ${session.step.round + 1} of ${session.rounds}`;
+        el.calibrationPrompt.textContent = handVisible
+            ? CALIBRATION_PROMPTS[session.step.name]
+            : 'Show one hand to the camera';
+        el.calibrationBar.style.width = `${session.progress * 100}%`;
+    }
+
+    updateCalibrationData() {
+        if (!this.ui.calibrationData) return;
+
+        const calibration = this.config.interaction.pinchCalibration;
+        this.ui.calibrationData.textContent = calibration
+            ? `${calibration.pinch} / ${calibration.release} × hand`
+            : 'Default';
+    }
+
+    // ============================================
+    // PUBLIC EVENTS
+    // ============================================
+    emitInteractionEvent({ type, hand: slot, object: obj, previous, zone, reason, thrown = false }) {
+        if (!PUBLIC_INTERACTION_EVENTS.has(type)) return;
+
+        const detail = {
+            hand: slot,
+            objectId: obj?.id ?? null,
+            objectType: obj?.type ?? null,
+            // Thrown objects land away from the hand, and ones knocked along have no hand at all
+            ...normalizePoint(slot === null || thrown ? obj : this.state.hands[slot].cursor)
+        };
+
+        if (type === 'hover') {
+            detail.previousObjectId = previous?.id ?? null;
+        }
+        if (zone) {
+            detail.zoneId = zone.id;
+        }
+        if (type === 'dropRejected') {
+            detail.reason = reason;
+        }
+
+        this.emit(type, detail);
+    }
+
+    emitGestureEvent({ type, gesture, hand: slot, confidence }) {
+        const hand = this.state.hands[slot];
+
+        this.emit('gesture', {
+            hand: slot,
+            gesture,
+            phase: type,
+            confidence,
+            objectId: hand?.grabbedObject?.id ?? null,
+            ...normalizePoint(hand?.cursor)
+        });
+    }
+
+    updateHandPresence(slots, handednesses) {
+        const { state } = this;
+        const signature = [...slots].sort((a, b) => a - b).join(',');
+        if (signature === state.handsSignature) return;
+        state.handsSignature = signature;
+
+        this.emit('handsChanged', {
+            count: slots.length,
+            hands: slots.map((slot, i) => ({
+                hand: slot,
+                handedness: handednesses[i],
+                ...normalizePoint(state.hands[slot].cursor)
+            }))
+        });
+    }
+
+    emitFaceChanged() {
+        const { state } = this;
+        // Nose tip, mirrored like the display
+        const nose = state.faceDetected ? state.faceLandmarks[1] : null;
+
+        this.emit('faceChanged', {
+            detected: state.faceDetected,
+            x: nose ? toDisplayX(nose.x, state.mirror) / 100 : null,
+            y: nose ? nose.y : null
+        });
+    }
+
+    // ============================================
+    // RECORDING & REPLAY
+    // ============================================
+    toggleRecording() {
+        if (this.state.recorder) {
+            this.finishRecording();
+        } else {
+            this.startRecording({ download: true });
+        }
+    }
+
+    // `download` saves the recording as a file when it stops, as the record button does
+    startRecording({ download = false } = {}) {
+        const { state } = this;
+        // Only live camera sessions can be recorded
+        if (!state.isRunning || state.replay) return;
+
+        state.recorder = { startTime: null, frames: [], download };
+        this.setRecordButton(true);
+    }
+
+    // Stops recording and downloads the result if it was asked for
+    finishRecording() {
+        const download = this.state.recorder?.download;
+        const recording = this.stopRecording();
+        if (recording && download) downloadRecording(recording);
+        return recording;
+    }
+
+    recordFrame({ timestamp, handResults, faceResults }) {
+        const recorder = this.state.recorder;
+        if (recorder.startTime === null) recorder.startTime = timestamp;
+
+        recorder.frames.push({
+            t: timestamp - recorder.startTime,
+            hands: {
+                landmarks: structuredClone(handResults.landmarks || []),
+                handednesses: structuredClone(handResults.handednesses || [])
+            },
+            face: {
+                faceLandmarks: structuredClone(faceResults.faceLandmarks || [])
+            }
+        });
+    }
+
+    // Returns the finished recording, or null when nothing was captured; listeners get it as `recorded`
+    stopRecording() {
+        const { state } = this;
+        const recorder = state.recorder;
+        if (!recorder) return null;
+
+        state.recorder = null;
+        this.setRecordButton(false);
+
+        if (recorder.frames.length === 0) return null;
+
+        const recording = {
+            version: RECORDING_VERSION,
+            createdAt: new Date().toISOString(),
+            viewport: { ...state.viewport },
+            // The filters each hand actually ran, in case they were switched outside the config
+            interaction: { ...this.config.interaction, cursorFilter: state.hands.map(hand => hand.filterType) },
+            mirror: state.mirror,
+            duration: recorder.frames[recorder.frames.length - 1].t,
+            frames: recorder.frames
+        };
+
+        // stop() and a lost camera end recordings too; this is how code-started ones get out
+        this.emit('recorded', { recording });
+        return recording;
+    }
+
+    setRecordButton(recording) {
+        const button = this.ui.recordButton;
+        if (!button) return;
+
+        button.classList.toggle('recording', recording);
+        button.querySelector('.session-label').textContent = recording ? 'Stop' : 'Record';
+    }
+
+    async loadReplayFile() {
+        const input = this.ui.replayInput;
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            this.startReplay(JSON.parse(await file.text()));
+        } catch (err) {
+            console.error('Replay error:', err);
+        }
+    }
+
+    async loadReplayUrl(url) {
+        const { el } = this;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.startReplay(await response.json());
+        } catch (err) {
+            console.error('Replay error:', err);
+            el.loadingScreen.classList.remove('hidden');
+            el.loadingText.textContent = `Replay error: ${err.message}`;
+        }
+    }
+
+    startReplay(recording) {
+        const { state, el } = this;
+
+        parseRecording(recording);
+        this.finishRecording();
+
+        // Every replay starts from the same scene so runs are repeatable
+        this.resetTracking();
+        this.resetObjects();
+
+        // Hands see the recording as it was: the same viewport size, interaction settings and mirroring.
+        // The live ones come back in finishReplay()
+        const live = state.replay?.live ?? { interaction: this.config.interaction };
+        const { width, height } = recording.viewport ?? {};
+        state.replay = {
+            frames: recording.frames,
+            index: 0,
+            live,
+            viewport: width > 0 && height > 0 ? { width, height } : null
+        };
+        // Air tap acts on this page, so it stays as the page has it
+        this.configure({
+            interaction: {
+                ...mergeConfig(CONFIG.interaction, recording.interaction ?? live.interaction),
+                airTap: live.interaction.airTap
+            }
+        });
+        state.mirror = recording.mirror ?? this.config.camera.mirror;
+
+        el.container.dataset.replay = 'playing';
+        this.ui.replayButton?.classList.add('active');
+        el.permissionScreen.classList.add('hidden');
+        el.loadingScreen.classList.add('hidden');
+        this.handleResize();
+
+        if (state.isPaused) {
+            this.resume();
+        } else if (!state.isRunning) {
+            state.isRunning = true;
+            this.frameRequest = requestAnimationFrame(this.tick);
+            this.setStatus('running');
+        }
+    }
+
+    nextReplayFrame() {
+        const replay = this.state.replay;
+        const frame = replay.frames[replay.index++];
+        if (!frame) return null;
+
+        // Recorded timestamps drive the filters, so playback speed doesn't matter
+        return {
+            timestamp: frame.t,
+            handResults: frame.hands,
+            faceResults: frame.face ?? NO_FACES
+        };
+    }
+
+    finishReplay() {
+        const { state, el } = this;
+        const { live } = state.replay;
+
+        state.replay = null;
+        el.container.dataset.replay = 'finished';
+        this.ui.replayButton?.classList.remove('active');
+
+        this.resetTracking();
+        state.ctx.clearRect(0, 0, state.canvasW, state.canvasH);
+
+        this.configure({ interaction: live.interaction });
+        this.applyMirror();
+        this.handleResize();
+
+        // Hand back to the live camera if one is running
+        if (!el.webcam.srcObject) {
+            state.isRunning = false;
+            this.setStatus('stopped');
+        }
+    }
+
+    // ============================================
+    // MIDDLE FINGER OVERLAY
+    // ============================================
+    updateMiddleFingerOverlay() {
+        const { state, el } = this;
+
+        if (state.middleFingerZoom > 0.01) {
+            el.middleFingerOverlay.classList.add('active');
+
+            // Calculate zoom center based on middle finger hand position
+            if (state.middleFingerHand) {
+                const middleTip = state.middleFingerHand[12];
+                const wrist = state.middleFingerHand[0];
+
+                // Center point between middle tip and wrist, in display space
+                const centerX = toDisplayX((middleTip.x + wrist.x) / 2, state.mirror);
+                const centerY = ((middleTip.y + wrist.y) / 2) * 100;
+
+                // Apply zoom effect with easing
+                const zoom = 1 + (state.middleFingerZoom * 0.8); // Max 1.8x zoom
+                const opacity = state.middleFingerZoom;
+
+                el.middleFingerOverlay.style.setProperty('--zoom', zoom);
+                el.middleFingerOverlay.style.setProperty('--center-x', `${centerX}%`);
+                el.middleFingerOverlay.style.setProperty('--center-y', `${centerY}%`);
+                el.middleFingerOverlay.style.setProperty('--opacity', opacity);
+            }
+
+            // Show text
+            el.middleFingerText.style.opacity = state.middleFingerZoom;
+            el.middleFingerText.style.transform = `translate(-50%, -50%) scale(${0.8 + state.middleFingerZoom * 0.4})`;
+        } else {
+            el.middleFingerOverlay.classList.remove('active');
+            el.middleFingerText.style.opacity = 0;
+        }
+    }
+
+    // ============================================
+    // FACE INDICATOR
+    // ============================================
+    updateFaceIndicator() {
+        this.ui.faceIndicator?.classList.toggle('detected', this.state.faceDetected);
+        this.ui.faceIndicator?.classList.toggle('disabled', !this.state.faceEnabled);
+    }
+
+    // ============================================
+    // INTERACTION RENDERING
+    // ============================================
+    applyInteractionEvents(interactionEvents) {
+        const { state } = this;
+
+        for (const event of interactionEvents) {
+            const { type, object: obj } = event;
+            this.emitInteractionEvent(event);
+
+            switch (type) {
+                case 'grab':
+                    obj.el.classList.add('grabbed');
+                    obj.el.classList.remove('hovering');
+                    this.showNotification('grabbed');
+                    this.updateObjectCard(obj.id, 'Held');
+                    break;
+
+                case 'move':
+                    this.renderObject(obj);
+                    break;
+
+                case 'release':
+                    obj.el.classList.remove('grabbed');
+                    this.updateObjectCard(obj.id, 'Free');
+                    break;
+
+                case 'drop':
+                    obj.el.classList.remove('grabbed');
+                    obj.el.classList.add('in-zone');
+                    this.renderObject(obj);
+                    this.renderDropZone(event.zone);
+
+                    this.showNotification('dropped');
+                    this.updateObjectCard(obj.id, 'Stored');
+                    break;
+
+                case 'dropRejected':
+                    obj.el.classList.remove('grabbed');
+                    this.renderObject(obj);
+                    this.updateObjectCard(obj.id, 'Free');
+
+                    event.zone.el.classList.add('rejected');
+                    setTimeout(() => event.zone.el.classList.remove('rejected'), 600);
+                    this.showNotification('rejected', event.reason === 'full'
+                        ? `${event.zone.label} is full`
+                        : `${event.zone.label} doesn't take ${obj.type}s`);
+                    break;
+            }
+        }
+
+        // Held objects light up the zone under them, red when it would turn them away
+        state.dropZones.forEach(zone => {
+            const over = state.hands.filter(hand => hand.overZone === zone);
+            zone.el.classList.toggle('active', over.some(hand => !hand.dropRejection));
+            zone.el.classList.toggle('refusing', over.some(hand => hand.dropRejection));
+        });
+    }
+
+    renderDropZone(zone) {
+        const count = zone.capacity === null ? zone.count : `${zone.count} / ${zone.capacity}`;
+
+        zone.el.querySelector('.drop-count').textContent = `${count} item${zone.count === 1 ? '' : 's'}`;
+        zone.el.classList.toggle('has-items', zone.count > 0);
+        zone.el.classList.toggle('full', zone.capacity !== null && zone.count >= zone.capacity);
+    }
+
+    renderObject(obj) {
+        obj.el.style.left = `${obj.x}%`;
+        obj.el.style.top = `${obj.y}%`;
+        obj.el.style.setProperty('--obj-scale', obj.scale);
+        obj.el.style.setProperty('--obj-rotation', `${obj.rotation}deg`);
+    }
+
+    updatePointer(slot) {
+        const hand = this.state.hands[slot];
+        const ptr = this.el.handPointers[slot];
+        if (!ptr) return;
+
+        ptr.classList.add('visible');
+        ptr.style.left = `${hand.cursor.x}%`;
+        ptr.style.top = `${hand.cursor.y}%`;
+
+        ptr.classList.toggle('pinching', hand.isPinching);
+        ptr.classList.toggle('near-object', hand.nearestObject !== null && !hand.grabbedObject);
+    }
+
+    // Hover follows the cursor onto whatever element is under it, and a pinch clicks it
+    updateAirTap(slot) {
+        const { airTap } = this.config.interaction;
+        if (!airTap.enabled) {
+            this.releaseAirTap(slot);
+            return;
+        }
+
+        const hand = this.state.hands[slot];
+        const area = airTap.area === 'page'
+            ? { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight }
+            : this.el.container.getBoundingClientRect();
+        const x = area.left + (hand.cursor.x / 100) * area.width;
+        const y = area.top + (hand.cursor.y / 100) * area.height;
+
+        // Pinches that grab an object aren't taps on what lies underneath
+        this.state.airPointer.update(slot, {
+            x,
+            y,
+            pinching: hand.isPinching,
+            blocked: Boolean(hand.grabbedObject || hand.nearestObject)
+        });
+
+        // The hand pointers can't leave the viewport, so the page gets its own
+        const cursor = this.el.airCursors[slot];
+        if (!cursor) return;
+
+        cursor.classList.toggle('visible', airTap.area === 'page');
+        cursor.classList.toggle('pinching', hand.isPinching);
+        cursor.style.left = `${x}px`;
+        cursor.style.top = `${y}px`;
+    }
+
+    // Whatever the hand pressed is cancelled and whatever it hovered is left
+    releaseAirTap(slot) {
+        this.state.airPointer.leave(slot);
+        this.el.airCursors[slot]?.classList.remove('visible', 'pinching');
+    }
+
+    updateHoverStates() {
+        const hovered = getHoveredObjects(this.state);
+
+        this.state.objects.forEach(obj => {
+            obj.el.classList.toggle('hovering', hovered.has(obj));
+        });
+    }
+
+    resetObjects() {
+        resetScene(this.state);
+        this.renderScene();
+    }
+
+    // Redraws every object, card and zone after the scene changed wholesale
+    renderScene() {
+        const { state } = this;
+
+        state.objects.forEach(obj => {
+            this.renderObject(obj);
+            obj.el.classList.remove('grabbed', 'hovering');
+            obj.el.classList.toggle('in-zone', obj.inZone);
+            this.updateObjectCard(obj.id, obj.inZone ? 'Stored' : 'Free');
+        });
+
+        state.dropZones.forEach(zone => {
+            this.renderDropZone(zone);
+            zone.el.classList.remove('active', 'refusing', 'rejected');
+        });
+    }
+
+    // ============================================
+    // UI
+    // ============================================
+    updateUI() {
+        const { state, ui } = this;
+        const activeHands = state.hands.filter(hand => hand.active);
+        const primary = activeHands[0] || state.hands[0];
+        const heldObjects = [...new Set(activeHands.map(hand => hand.grabbedObject).filter(Boolean))];
+
+        // Pills
+        setPillValue(ui.fpsPill, state.fps);
+        setPillValue(ui.inferencePill, state.inferenceFps);
+        setPillValue(ui.handsPill, state.handCount);
+
+        // Warning gestures override everything, then grabs, then the registry's pick
+        const gesture = state.gestures.getActiveGesture();
+
+        let gestureText = gesture?.warning ? gesture.label :
+            heldObjects.some(obj => obj.grip) ? 'Scaling' :
+                heldObjects.length ? 'Holding' :
+                    gesture ? gesture.label :
+                        activeHands.some(hand => hand.nearestObject) ? 'Hover' : 'Ready';
+
+        setPillValue(ui.gesturePill, gestureText);
+        ui.gesturePill?.classList.toggle('warning', Boolean(gesture?.warning));
+
+        // Data
+        if (ui.cursorData) {
+            ui.cursorData.textContent = `${Math.round(primary.cursor.x)}, ${Math.round(primary.cursor.y)}`;
+        }
+
+        if (ui.pinchData) {
+            const pinchPct = Math.round((1 - primary.pinchDistance / 0.15) * 100);
+            ui.pinchData.textContent = `${Math.max(0, Math.min(100, pinchPct))}%`;
+            ui.pinchData.style.color = primary.isPinching ? 'var(--accent-cyan)' : 'var(--text-tertiary)';
+        }
+
+        if (ui.holdingData) {
+            ui.holdingData.textContent = heldObjects.map(obj => obj.type).join(' + ') || 'None';
+        }
+    }
+
+    objectCard(objId) {
+        return this.ui.objectsGrid?.querySelector(`[data-obj="${CSS.escape(objId)}"]`) ?? null;
+    }
+
+    updateObjectCard(objId, statusText) {
+        const card = this.objectCard(objId);
+        if (!card) return;
+
+        const statusEl = card.querySelector('.obj-status');
+        if (statusEl) statusEl.textContent = statusText;
+
+        card.classList.remove('active', 'in-zone');
+        if (statusText === 'Held') card.classList.add('active');
+        if (statusText === 'Stored') card.classList.add('in-zone');
+    }
+
+    // `text` replaces the notification's message, for ones that vary
+    showNotification(type, text = null) {
+        const notif = {
+            grabbed: this.ui.notifGrabbed,
+            dropped: this.ui.notifDropped,
+            rejected: this.ui.notifRejected
+        }[type];
+        if (!notif) return;
+
+        if (text) notif.querySelector('span').textContent = text;
+
+        notif.classList.add('show');
+        setTimeout(() => notif.classList.remove('show'), 1500);
+    }
+}
+
+// Catalog entry fields from a `.floating-object` declared in markup
+function readObjectElement(objEl) {
+    return {
+        id: objEl.id,
+        type: objEl.dataset.type,
+        label: objEl.dataset.label,
+        hue: parseFloat(objEl.style.getPropertyValue('--hue')),
+        x: parseFloat(objEl.style.left),
+        y: parseFloat(objEl.style.top)
+    };
+}
+
+// Asset URLs are relative to the page, not to this module
+function resolveAssets(assets) {
+    return Object.fromEntries(Object.entries(assets).map(([key, url]) => [key, new URL(url, document.baseURI).href]));
+}
+
+function setPillValue(pill, value) {
+    if (pill) pill.querySelector('.pill-value').textContent = value;
+}
+
+function downloadRecording(recording) {
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `spatial-session-${recording.createdAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
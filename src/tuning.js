@@ -0,0 +1,259 @@
+/**
+ * Spatial Hand Tracker - Tuning
+ * Live sliders for the interaction settings, with named presets kept in
+ * localStorage and JSON import/export, so sensitivity can be tuned per user
+ * and per camera without editing CONFIG.
+ */
+
+export const PRESETS_STORAGE_KEY = 'spatial-tracker:tuning';
+export const PRESET_VERSION = 1;
+
+// Each tunable maps a flat key to its place in the config
+export const TUNABLES = [
+    { key: 'pinchThreshold', path: ['interaction', 'pinchThreshold'], label: 'Pinch', min: 0.02, max: 0.15, step: 0.005 },
+    { key: 'pinchReleaseThreshold', path: ['interaction', 'pinchReleaseThreshold'], label: 'Release', min: 0.03, max: 0.2, step: 0.005 },
+    { key: 'grabRadius', path: ['interaction', 'grabRadius'], label: 'Grab radius', min: 20, max: 250, step: 5 },
+    { key: 'gestureConfirmFrames', path: ['interaction', 'gestureConfirmFrames'], label: 'Confirm frames', min: 1, max: 10, step: 1 },
+    { key: 'minCutoff', path: ['interaction', 'oneEuro', 'minCutoff'], label: 'Min cutoff', min: 0.05, max: 5, step: 0.05 },
+    { key: 'beta', path: ['interaction', 'oneEuro', 'beta'], label: 'Beta', min: 0, max: 0.1, step: 0.001 }
+];
+
+// ============================================
+// VALUES
+// ============================================
+export function readTuning(config) {
+    return Object.fromEntries(TUNABLES.map(({ key, path }) => [key, path.reduce((node, part) => node[part], config)]));
+}
+
+// Flat values back into a partial config for SpatialTracker#configure
+export function tuningOverrides(values) {
+    const overrides = {};
+
+    TUNABLES.forEach(({ key, path }) => {
+        if (!(key in values)) return;
+
+        const parents = path.slice(0, -1).reduce((node, part) => (node[part] ??= {}), overrides);
+        parents[path.at(-1)] = values[key];
+    });
+
+    return overrides;
+}
+
+// Keeps known keys with numeric values, clamped to each slider's range
+export function sanitizeTuning(values) {
+    if (values === null || typeof values !== 'object') {
+        throw new Error('Tuning values must be an object');
+    }
+
+    const clean = {};
+    TUNABLES.forEach(({ key, min, max }) => {
+        const value = Number(values[key]);
+        if (values[key] === undefined || !Number.isFinite(value)) return;
+        clean[key] = Math.max(min, Math.min(max, value));
+    });
+
+    return orderPinchThresholds(clean);
+}
+
+/**
+ * Keeps the release threshold at or above the pinch one; below it, a steady
+ * hand would grab and let go every few frames. `changed` is the value that
+ * was just set; the other one moves to meet it.
+ */
+export function orderPinchThresholds(values, changed = 'pinchThreshold') {
+    const { pinchThreshold: pinch, pinchReleaseThreshold: release } = values;
+    if (pinch === undefined || release === undefined || release >= pinch) return values;
+
+    return changed === 'pinchReleaseThreshold'
+        ? { ...values, pinchThreshold: release }
+        : { ...values, pinchReleaseThreshold: pinch };
+}
+
+// ============================================
+// PRESETS
+// ============================================
+export function loadPresets(storage) {
+    try {
+        const stored = JSON.parse(storage.getItem(PRESETS_STORAGE_KEY));
+        if (stored?.version === PRESET_VERSION) {
+            return { active: stored.active ?? null, presets: stored.presets ?? {} };
+        }
+    } catch (err) {
+        console.warn('Ignoring stored tuning presets:', err);
+    }
+
+    return { active: null, presets: {} };
+}
+
+export function savePresets(storage, { active, presets }) {
+    storage.setItem(PRESETS_STORAGE_KEY, JSON.stringify({ version: PRESET_VERSION, active, presets }));
+}
+
+export function exportPreset(name, values) {
+    return JSON.stringify({ version: PRESET_VERSION, name, values }, null, 2);
+}
+
+export function parsePreset(json) {
+    const preset = JSON.parse(json);
+    if (preset?.version !== PRESET_VERSION) {
+        throw new Error(`Unsupported preset version: ${preset?.version}`);
+    }
+
+    const name = String(preset.name || '').trim();
+    if (!name) {
+        throw new Error('Preset has no name');
+    }
+
+    return { name, values: sanitizeTuning(preset.values) };
+}
+
+// ============================================
+// PANEL
+// ============================================
+
+/**
+ * Builds the sliders into `el.sliders` and wires the preset controls
+ * (`presetSelect`, `saveButton`, `deleteButton`, `exportButton`,
+ * `importButton` + `importInput`, `resetButton`). Missing controls are skipped.
+ * Reset goes back to the values the tracker had when the panel was bound.
+ */
+export function bindTuningPanel(tracker, el, { storage = localStorage } = {}) {
+    const defaults = readTuning(tracker.config);
+    const store = loadPresets(storage);
+    const inputs = new Map();
+
+    const apply = (values, changed) => {
+        tracker.configure(tuningOverrides(orderPinchThresholds({ ...readTuning(tracker.config), ...values }, changed)));
+        syncSliders();
+    };
+
+    const syncSliders = () => {
+        const values = readTuning(tracker.config);
+        inputs.forEach(({ input, output }, key) => {
+            input.value = values[key];
+            output.textContent = formatValue(values[key]);
+        });
+    };
+
+    const syncPresets = () => {
+        if (!el.presetSelect) return;
+
+        el.presetSelect.replaceChildren(new Option('Custom', ''));
+        Object.keys(store.presets).sort().forEach(name => el.presetSelect.add(new Option(name, name)));
+        el.presetSelect.value = store.active ?? '';
+        if (el.deleteButton) el.deleteButton.disabled = !store.active;
+    };
+
+    const setActive = name => {
+        store.active = name;
+        savePresets(storage, store);
+        syncPresets();
+    };
+
+    TUNABLES.forEach(tunable => {
+        const row = createSliderRow(tunable);
+        el.sliders.appendChild(row.element);
+        inputs.set(tunable.key, row);
+
+        // Touching a slider detaches from the selected preset until it's saved again
+        row.input.addEventListener('input', () => {
+            apply({ [tunable.key]: Number(row.input.value) }, tunable.key);
+            if (store.active) setActive(null);
+        });
+    });
+
+    el.presetSelect?.addEventListener('change', () => {
+        const name = el.presetSelect.value || null;
+        if (name) apply(store.presets[name]);
+        setActive(name);
+    });
+
+    el.saveButton?.addEventListener('click', () => {
+        const name = prompt('Preset name', store.active ?? '')?.trim();
+        if (!name) return;
+
+        store.presets[name] = readTuning(tracker.config);
+        setActive(name);
+    });
+
+    el.deleteButton?.addEventListener('click', () => {
+        if (!store.active) return;
+
+        delete store.presets[store.active];
+        setActive(null);
+    });
+
+    el.exportButton?.addEventListener('click', () => {
+        downloadPreset(store.active ?? 'custom', readTuning(tracker.config));
+    });
+
+    if (el.importButton && el.importInput) {
+        el.importButton.addEventListener('click', () => el.importInput.click());
+        el.importInput.addEventListener('change', async () => {
+            const file = el.importInput.files[0];
+            el.importInput.value = '';
+            if (!file) return;
+
+            try {
+                const { name, values } = parsePreset(await file.text());
+                store.presets[name] = { ...defaults, ...values };
+                apply(store.presets[name]);
+                setActive(name);
+            } catch (err) {
+                console.error('Preset import error:', err);
+                alert(`Could not import the preset: ${err.message}`);
+            }
+        });
+    }
+
+    el.resetButton?.addEventListener('click', () => {
+        apply(defaults);
+        setActive(null);
+    });
+
+    // Pick up where the last session left off
+    if (store.active && store.presets[store.active]) {
+        apply(sanitizeTuning(store.presets[store.active]));
+    } else {
+        store.active = null;
+    }
+
+    syncSliders();
+    syncPresets();
+}
+
+function createSliderRow({ key, label, min, max, step }) {
+    const element = document.createElement('label');
+    element.className = 'slider-row';
+
+    const name = document.createElement('span');
+    name.className = 'data-label';
+    name.textContent = label;
+
+    const output = document.createElement('span');
+    output.className = 'data-value';
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.className = 'tuning-slider';
+    input.name = key;
+    input.min = min;
+    input.max = max;
+    input.step = step;
+
+    element.append(name, output, input);
+    return { element, input, output };
+}
+
+function formatValue(value) {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(3)));
+}
+
+function downloadPreset(name, values) {
+    const blob = new Blob([exportPreset(name, values)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `spatial-tuning-${name.replace(/[^\w-]+/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
@@ -0,0 +1,67 @@
+/**
+ * Spatial Hand Tracker - Service Worker
+ * Keeps the MediaPipe runtime and models after the first load, and the app
+ * shell as a fallback, so the demo keeps working without a network.
+ */
+
+const CACHE_PREFIX = 'spatial-tracker-';
+const ASSET_CACHE = `${CACHE_PREFIX}assets-v1`;
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v1`;
+
+// Version-pinned runtime and model files never change under the same URL
+const ASSET_PATTERN = /(vision_bundle\.mjs|_internal\.js|\.wasm|\.task)$/;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        // Drop caches left behind by older versions of this worker
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== ASSET_CACHE && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (ASSET_PATTERN.test(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+async function cacheFirst(request) {
+    const cache = await caches.open(ASSET_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // The WASM loader scripts come back opaque when fetched without CORS
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        // Offline: `?replay=` and other query strings still get the cached page
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw err;
+    }
+}
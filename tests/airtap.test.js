@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AirPointer } from '../src/airtap.js';
+
+// Just enough of an element: its own events, a class list, and `contains` through the parents
+class FakeElement extends EventTarget {
+    constructor(name, parent = null) {
+        super();
+        this.name = name;
+        this.parent = parent;
+        this.classes = new Set();
+        this.classList = { toggle: (name, on) => (on ? this.classes.add(name) : this.classes.delete(name)) };
+    }
+
+    contains(other) {
+        for (let node = other; node; node = node.parent) {
+            if (node === this) return true;
+        }
+        return false;
+    }
+}
+
+/**
+ * A page with a panel holding a button, laid out on the x axis:
+ * the button spans x 100..200 and the rest of the panel up to 300.
+ */
+function createPage() {
+    const log = [];
+    const panel = new FakeElement('panel');
+    const button = new FakeElement('button', panel);
+    const label = new FakeElement('label', button);
+
+    for (const element of [panel, button, label]) {
+        for (const type of ['pointerover', 'pointerout', 'pointerdown', 'pointerup', 'pointercancel', 'click']) {
+            element.addEventListener(type, event => {
+                if (event.eventPhase === Event.AT_TARGET) log.push(`${type}:${element.name}`);
+            });
+        }
+    }
+
+    const root = {
+        elementFromPoint(x) {
+            if (x >= 140 && x < 160) return label;
+            if (x >= 100 && x < 200) return button;
+            if (x < 300) return panel;
+            return null;
+        }
+    };
+
+    return { log, panel, button, label, pointer: new AirPointer(root) };
+}
+
+test('the cursor hovers whatever element is under it', () => {
+    const { log, button, panel, pointer } = createPage();
+
+    pointer.update(0, { x: 50, y: 0, pinching: false });
+    pointer.update(0, { x: 120, y: 0, pinching: false });
+    pointer.update(0, { x: 120, y: 0, pinching: false });
+
+    assert.deepEqual(log, ['pointerover:panel', 'pointerout:panel', 'pointerover:button']);
+    assert.ok(button.classes.has('air-hover'));
+    assert.ok(!panel.classes.has('air-hover'));
+});
+
+test('a pinch and release over an element clicks it', () => {
+    const { log, button, pointer } = createPage();
+    let clicks = 0;
+    button.addEventListener('click', () => clicks++);
+
+    pointer.update(0, { x: 120, y: 0, pinching: false });
+    pointer.update(0, { x: 120, y: 0, pinching: true });
+    pointer.update(0, { x: 125, y: 0, pinching: true });
+    pointer.update(0, { x: 125, y: 0, pinching: false });
+
+    assert.deepEqual(log, ['pointerover:button', 'pointerdown:button', 'pointerup:button', 'click:button']);
+    assert.equal(clicks, 1);
+});
+
+test('clicks reach the pressed element when the release lands on its child', () => {
+    const { log, pointer } = createPage();
+
+    pointer.update(0, { x: 120, y: 0, pinching: true });
+    pointer.update(0, { x: 150, y: 0, pinching: false });
+
+    assert.deepEqual(log.slice(-2), ['pointerup:label', 'click:button']);
+});
+
+test('releasing away from the pressed element does not click', () => {
+    const { log, pointer } = createPage();
+
+    pointer.update(0, { x: 120, y: 0, pinching: true });
+    pointer.update(0, { x: 250, y: 0, pinching: false });
+
+    assert.ok(log.includes('pointerup:panel'));
+    assert.ok(!log.some(entry => entry.startsWith('click')));
+});
+
+test('pinches that grab an object are not taps', () => {
+    const { log, pointer } = createPage();
+
+    pointer.update(0, { x: 120, y: 0, pinching: true, blocked: true });
+    pointer.update(0, { x: 120, y: 0, pinching: false });
+
+    assert.deepEqual(log, ['pointerover:button']);
+});
+
+test('a hand that leaves cancels its press and ends its hover', () => {
+    const { log, button, pointer } = createPage();
+
+    pointer.update(0, { x: 120, y: 0, pinching: true });
+    pointer.leave(0);
+
+    assert.deepEqual(log, ['pointerover:button', 'pointerdown:button', 'pointercancel:button', 'pointerout:button']);
+    assert.ok(!button.classes.has('air-hover'));
+});
+
+test('each hand is its own pointer', () => {
+    const { log, button, pointer } = createPage();
+
+    pointer.update(0, { x: 120, y: 0, pinching: false });
+    pointer.update(1, { x: 130, y: 0, pinching: false });
+    pointer.update(0, { x: 250, y: 0, pinching: false });
+
+    // The other hand is still over the button
+    assert.ok(button.classes.has('air-hover'));
+
+    pointer.update(1, { x: 130, y: 0, pinching: true });
+    pointer.update(1, { x: 130, y: 0, pinching: false });
+    assert.equal(log.at(-1), 'click:button');
+
+    pointer.leaveAll();
+    assert.equal(pointer.pointers.size, 0);
+    assert.ok(!button.classes.has('air-hover'));
+});
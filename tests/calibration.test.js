@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PinchCalibration, loadCalibration, saveCalibration } from '../src/calibration.js';
+import { pointerHand } from './helpers/landmarks.js';
+import { memoryStorage } from './helpers/storage.js';
+
+const OPTIONS = { rounds: 2, settleFrames: 2, sampleFrames: 3 };
+
+// Holds each pose the calibration asks for
+function runCalibration(session, poses) {
+    while (!session.done) {
+        session.addFrame(poses[session.step.name]);
+    }
+    return session;
+}
+
+test('calibration walks through open, pinch and release for every round', () => {
+    const session = new PinchCalibration(OPTIONS);
+    const seen = [];
+
+    while (!session.done) {
+        const { name, round } = session.step;
+        if (seen.at(-1) !== `${round}:${name}`) seen.push(`${round}:${name}`);
+        session.addFrame(pointerHand(50, 50, { pinch: name === 'pinch' }));
+    }
+
+    assert.deepEqual(seen, ['0:open', '0:pinch', '0:release', '1:open', '1:pinch', '1:release']);
+    assert.equal(session.progress, 1);
+});
+
+test('calibrated thresholds sit between the pinch and the open hand, relative to hand size', () => {
+    const poses = size => ({
+        open: pointerHand(50, 50, { size }),
+        pinch: pointerHand(50, 50, { size, pinch: true }),
+        release: pointerHand(50, 50, { size })
+    });
+
+    const result = runCalibration(new PinchCalibration(OPTIONS), poses(1)).result();
+    // pointerHand pinches at 0.1 hand sizes and opens to 1.2
+    assert.deepEqual(result, { pinch: 0.43, release: 0.65 });
+});
+
+test('calibration fails when the poses look alike', () => {
+    const hand = pointerHand(50, 50);
+    const session = runCalibration(new PinchCalibration(OPTIONS), { open: hand, pinch: hand, release: hand });
+
+    assert.throws(() => session.result(), /too alike/);
+    assert.throws(() => new PinchCalibration(OPTIONS).result(), /not finished/);
+});
+
+test('calibration is remembered in storage', () => {
+    const storage = memoryStorage();
+    assert.equal(loadCalibration(storage), null);
+
+    saveCalibration(storage, { pinch: 0.4, release: 0.6 });
+    assert.deepEqual(loadCalibration(storage), { pinch: 0.4, release: 0.6 });
+
+    saveCalibration(storage, null);
+    assert.equal(loadCalibration(storage), null);
+});
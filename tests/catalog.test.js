@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { parseCatalog, normalizeObjectSpec, fetchCatalog, CATALOG_VERSION } from '../src/catalog.js';
+import { OBJECT_BEHAVIOR } from '../src/interaction.js';
+
+test('the demo scene parses', async () => {
+    const json = await readFile(new URL('../scenes/default.json', import.meta.url), 'utf8');
+    const objects = parseCatalog(json);
+
+    assert.deepEqual(objects.map(obj => obj.id), ['obj-orb', 'obj-cube', 'obj-ring', 'obj-gem']);
+    assert.deepEqual(objects[0], {
+        id: 'obj-orb',
+        type: 'orb',
+        label: 'Orb',
+        hue: 200,
+        x: 12,
+        y: 25,
+        behavior: OBJECT_BEHAVIOR
+    });
+});
+
+// SpatialTracker#loadCatalog runs what fetchCatalog returns through parseCatalog
+test('fetched catalogs go through the same parsing as loadCatalog', async t => {
+    const json = await readFile(new URL('../scenes/default.json', import.meta.url), 'utf8');
+    t.mock.method(globalThis, 'fetch', async () => new Response(json));
+
+    const objects = parseCatalog(await fetchCatalog('scenes/default.json'));
+    assert.equal(objects.length, 4);
+    assert.deepEqual(objects, parseCatalog(json));
+});
+
+test('failed catalog downloads are reported', async t => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('', { status: 404 }));
+
+    await assert.rejects(fetchCatalog('scenes/missing.json'), /scenes\/missing\.json: HTTP 404/);
+});
+
+test('entries get defaults for what they leave out', () => {
+    assert.deepEqual(normalizeObjectSpec({ id: 'star', type: 'star', behavior: { scalable: false } }), {
+        id: 'star',
+        type: 'star',
+        label: 'Star',
+        hue: 200,
+        x: 15,
+        y: 30,
+        behavior: { ...OBJECT_BEHAVIOR, scalable: false }
+    });
+});
+
+test('malformed catalogs are rejected', () => {
+    const catalog = objects => ({ version: CATALOG_VERSION, objects });
+
+    assert.throws(() => parseCatalog({ version: 99, objects: [] }), /version/);
+    assert.throws(() => parseCatalog({ version: CATALOG_VERSION }), /objects list/);
+    assert.throws(() => parseCatalog(catalog([{ type: 'orb' }])), /need an id/);
+    assert.throws(() => parseCatalog(catalog([{ id: 'a', type: 'orb"><img' }])), /invalid type/);
+    assert.throws(() => parseCatalog(catalog([{ id: 'a', type: 'orb', behavior: { sticky: true } }])), /Unknown behavior/);
+    assert.throws(() => parseCatalog(catalog([{ id: 'a', type: 'orb' }, { id: 'a', type: 'gem' }])), /listed twice/);
+});
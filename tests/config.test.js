@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, VENDORED_ASSETS, MEDIAPIPE_VERSION, mergeConfig } from '../src/config.js';
+
+test('mergeConfig overrides nested values and keeps the rest', () => {
+    const config = mergeConfig(CONFIG, { interaction: { grabRadius: 120 }, mediapipe: { numHands: 1 } });
+
+    assert.equal(config.interaction.grabRadius, 120);
+    assert.equal(config.interaction.pinchThreshold, CONFIG.interaction.pinchThreshold);
+    assert.equal(config.mediapipe.numHands, 1);
+    assert.equal(config.mediapipe.numFaces, CONFIG.mediapipe.numFaces);
+});
+
+test('mergeConfig leaves the defaults untouched', () => {
+    mergeConfig(CONFIG, { interaction: { grabRadius: 1 } });
+    assert.equal(CONFIG.interaction.grabRadius, 90);
+});
+
+test('mergeConfig replaces arrays instead of merging them', () => {
+    const colors = ['#000000'];
+    const config = mergeConfig(CONFIG, { rendering: { skeleton: { colors } } });
+
+    assert.deepEqual(config.rendering.skeleton.colors, colors);
+    assert.equal(config.rendering.skeleton.jointRadius, CONFIG.rendering.skeleton.jointRadius);
+});
+
+test('MediaPipe assets are pinned to a version', () => {
+    assert.ok(!JSON.stringify(CONFIG.assets).includes('@latest'));
+    assert.ok(CONFIG.assets.visionBundle.includes(`@${MEDIAPIPE_VERSION}/`));
+    assert.ok(CONFIG.assets.wasmPath.includes(`@${MEDIAPIPE_VERSION}/`));
+});
+
+test('vendored assets replace every CDN asset', () => {
+    assert.deepEqual(Object.keys(VENDORED_ASSETS).sort(), Object.keys(CONFIG.assets).sort());
+});
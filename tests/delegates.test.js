@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { delegateCandidates, createWithFallback, describeDelegates } from '../src/delegates.js';
+
+test('auto tries the GPU before the CPU', () => {
+    assert.deepEqual(delegateCandidates('auto'), ['GPU', 'CPU']);
+    assert.deepEqual(delegateCandidates(), ['GPU', 'CPU']);
+});
+
+test('a named delegate is the only candidate', () => {
+    assert.deepEqual(delegateCandidates('cpu'), ['CPU']);
+    assert.deepEqual(delegateCandidates('GPU'), ['GPU']);
+    assert.throws(() => delegateCandidates('TPU'), /Unknown delegate/);
+});
+
+test('createWithFallback falls back to the CPU when the GPU fails', async () => {
+    const fallbacks = [];
+    const { delegate, result } = await createWithFallback(
+        async delegate => {
+            if (delegate === 'GPU') throw new Error('WebGL unavailable');
+            return `landmarker on ${delegate}`;
+        },
+        'auto',
+        (from, to) => fallbacks.push([from, to])
+    );
+
+    assert.equal(delegate, 'CPU');
+    assert.equal(result, 'landmarker on CPU');
+    assert.deepEqual(fallbacks, [['GPU', 'CPU']]);
+});
+
+test('createWithFallback keeps the GPU when it works', async () => {
+    const tried = [];
+    const { delegate } = await createWithFallback(async delegate => tried.push(delegate));
+
+    assert.equal(delegate, 'GPU');
+    assert.deepEqual(tried, ['GPU']);
+});
+
+test('createWithFallback rejects with the last error when nothing works', async () => {
+    await assert.rejects(
+        createWithFallback(async delegate => { throw new Error(`${delegate} failed`); }),
+        /CPU failed/
+    );
+    await assert.rejects(
+        createWithFallback(async () => { throw new Error('GPU failed'); }, 'GPU'),
+        /GPU failed/
+    );
+});
+
+test('describeDelegates collapses matching delegates', () => {
+    assert.equal(describeDelegates({ hand: 'GPU', face: 'GPU' }), 'GPU');
+    assert.equal(describeDelegates({ hand: 'GPU', face: 'CPU' }), 'GPU / CPU');
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyError, ERROR_SCREENS } from '../src/errors.js';
+
+const domError = name => Object.assign(new Error('camera failed'), { name });
+
+test('camera errors map to their recovery screens', () => {
+    assert.equal(classifyError(domError('NotAllowedError'), 'camera'), 'permission-denied');
+    assert.equal(classifyError(domError('NotFoundError'), 'camera'), 'no-camera');
+    assert.equal(classifyError(domError('OverconstrainedError'), 'camera'), 'no-camera');
+    assert.equal(classifyError(domError('NotReadableError'), 'camera'), 'camera-in-use');
+    assert.equal(classifyError(domError('TypeError'), 'camera'), 'unknown');
+    assert.equal(classifyError(null, 'camera'), 'unknown');
+});
+
+test('model errors tell WebGL apart from downloads', () => {
+    assert.equal(classifyError(new Error('Unable to initialize WebGL context'), 'models'), 'webgl-unavailable');
+    assert.equal(classifyError(new Error('emscripten_webgl_create_context failed'), 'models'), 'webgl-unavailable');
+    assert.equal(classifyError(new TypeError('Failed to fetch'), 'models'), 'model-download');
+});
+
+test('every kind has a screen', () => {
+    const kinds = ['permission-denied', 'no-camera', 'camera-in-use', 'camera-ended', 'model-download', 'webgl-unavailable', 'unknown'];
+    kinds.forEach(kind => {
+        const { title, message, retry } = ERROR_SCREENS[kind];
+        assert.ok(title && message && retry, kind);
+    });
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TrackerEvents, WINDOW_EVENT_PREFIX, normalizePoint } from '../src/events.js';
+
+test('emit dispatches a CustomEvent carrying the detail', () => {
+    const events = new TrackerEvents({ mirrorTarget: null });
+    const received = [];
+    events.addEventListener('grab', event => received.push(event.detail));
+
+    events.emit('grab', { hand: 1, objectId: 'obj-orb', x: 0.2, y: 0.3 });
+
+    assert.deepEqual(received, [{ hand: 1, objectId: 'obj-orb', x: 0.2, y: 0.3 }]);
+});
+
+test('events are mirrored to the window target with a prefix', () => {
+    const mirror = new EventTarget();
+    const events = new TrackerEvents({ mirrorTarget: mirror });
+    const received = [];
+    mirror.addEventListener(`${WINDOW_EVENT_PREFIX}drop`, event => received.push(event.detail.objectId));
+
+    events.emit('drop', { hand: 0, objectId: 'obj-gem', x: 0.85, y: 0.5 });
+
+    assert.deepEqual(received, ['obj-gem']);
+});
+
+test('mirrored events name the tracker they came from', () => {
+    const mirror = new EventTarget();
+    const first = new TrackerEvents({ mirrorTarget: mirror, id: 'hero' });
+    const second = new TrackerEvents({ mirrorTarget: mirror, id: 'footer' });
+    const received = [];
+    mirror.addEventListener(`${WINDOW_EVENT_PREFIX}grab`, event => received.push(event.detail.trackerId));
+
+    first.emit('grab', { hand: 0, objectId: 'obj-orb', x: 0.2, y: 0.3 });
+    second.emit('grab', { hand: 0, objectId: 'obj-orb', x: 0.2, y: 0.3 });
+
+    assert.deepEqual(received, ['hero', 'footer']);
+});
+
+test('on passes the detail and returns an unsubscribe function', () => {
+    const events = new TrackerEvents({ mirrorTarget: null });
+    const received = [];
+    const unsubscribe = events.on('handsChanged', detail => received.push(detail.count));
+
+    events.emit('handsChanged', { count: 1, hands: [] });
+    unsubscribe();
+    events.emit('handsChanged', { count: 2, hands: [] });
+
+    assert.deepEqual(received, [1]);
+});
+
+test('unknown event types are rejected', () => {
+    const events = new TrackerEvents({ mirrorTarget: null });
+    assert.throws(() => events.emit('explode', {}), /Unknown tracker event/);
+});
+
+test('normalizePoint converts percent to 0..1', () => {
+    assert.deepEqual(normalizePoint({ x: 25, y: 80 }), { x: 0.25, y: 0.8 });
+    assert.deepEqual(normalizePoint(null), { x: null, y: null });
+});
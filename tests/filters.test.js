@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/config.js';
+import { OneEuroFilter, KalmanFilter, LandmarkSmoother, VelocityPredictor, GestureStabilizer, createCursorFilter } from '../src/filters.js';
+
+test('OneEuroFilter passes the first sample through', () => {
+    const filter = new OneEuroFilter();
+    assert.equal(filter.filter(42, 0), 42);
+});
+
+test('OneEuroFilter smooths a step and converges on it', () => {
+    const filter = new OneEuroFilter(1.0, 0.007);
+    filter.filter(0, 0);
+
+    const first = filter.filter(100, 33);
+    assert.ok(first > 0 && first < 100, `expected a smoothed value, got ${first}`);
+
+    let value = first;
+    for (let t = 66; t < 5000; t += 33) {
+        value = filter.filter(100, t);
+    }
+    assert.ok(Math.abs(value - 100) < 0.5, `expected convergence, got ${value}`);
+});
+
+test('OneEuroFilter.reset forgets the previous sample', () => {
+    const filter = new OneEuroFilter();
+    filter.filter(10, 0);
+    filter.filter(20, 33);
+    filter.reset();
+
+    assert.equal(filter.filter(80, 66), 80);
+});
+
+test('GestureStabilizer only switches after enough consistent frames', () => {
+    const stabilizer = new GestureStabilizer(3);
+
+    assert.equal(stabilizer.update(true), false);
+    assert.equal(stabilizer.update(true), false);
+    assert.equal(stabilizer.update(true), true);
+
+    assert.equal(stabilizer.update(false), true);
+    assert.equal(stabilizer.update(false), true);
+    assert.equal(stabilizer.update(false), false);
+});
+
+test('GestureStabilizer ignores single-frame flicker', () => {
+    const stabilizer = new GestureStabilizer(3);
+    const frames = [true, false, true, true, false, true];
+
+    for (const raw of frames) {
+        assert.equal(stabilizer.update(raw), false);
+    }
+});
+
+test('GestureStabilizer.reset returns to the inactive state', () => {
+    const stabilizer = new GestureStabilizer(1);
+    stabilizer.update(true);
+    stabilizer.reset();
+
+    assert.equal(stabilizer.currentState, false);
+    assert.equal(stabilizer.frameCount, 0);
+});
+
+test('LandmarkSmoother filters every joint in x, y and z', () => {
+    const smoother = new LandmarkSmoother();
+    const still = Array.from({ length: 21 }, (_, i) => ({ x: i / 21, y: 0.5, z: -0.02, visibility: 1 }));
+
+    assert.deepEqual(smoother.smooth(still, 0), still);
+
+    const moved = still.map(point => ({ ...point, x: point.x + 0.01, y: 0.51, z: 0 }));
+    const smoothed = smoother.smooth(moved, 33);
+
+    assert.equal(smoothed.length, 21);
+    smoothed.forEach((point, i) => {
+        assert.ok(point.x > still[i].x && point.x < moved[i].x);
+        assert.ok(point.y > 0.5 && point.y < 0.51);
+        assert.ok(point.z > -0.02 && point.z < 0);
+        assert.equal(point.visibility, 1);
+    });
+});
+
+test('LandmarkSmoother.reset forgets the previous frame', () => {
+    const smoother = new LandmarkSmoother();
+    smoother.smooth([{ x: 0, y: 0, z: 0 }], 0);
+    smoother.reset();
+
+    assert.deepEqual(smoother.smooth([{ x: 1, y: 1, z: 1 }], 33), [{ x: 1, y: 1, z: 1 }]);
+});
+
+test('KalmanFilter tracks steady motion without trailing behind', () => {
+    const filter = new KalmanFilter();
+
+    // 60 units per second, sampled at ~30 fps
+    let value = 0;
+    for (let t = 0; t <= 2000; t += 33) {
+        value = filter.filter(10 + 0.06 * t, t);
+    }
+
+    assert.ok(Math.abs(value - (10 + 0.06 * 1980)) < 0.5, `expected no lag, got ${value}`);
+    assert.ok(Math.abs(filter.velocity - 60) < 1, `expected ~60 units/s, got ${filter.velocity}`);
+});
+
+test('KalmanFilter damps jitter around a still point', () => {
+    const filter = new KalmanFilter();
+    const jitter = [0.3, -0.3, 0.25, -0.2, 0.3, -0.25];
+
+    let maxError = 0;
+    for (let i = 0; i < 60; i++) {
+        const value = filter.filter(50 + jitter[i % jitter.length], i * 33);
+        if (i > 20) maxError = Math.max(maxError, Math.abs(value - 50));
+    }
+
+    assert.ok(maxError < 0.25, `expected smoothed jitter, got ${maxError}`);
+});
+
+test('KalmanFilter.reset forgets position and velocity', () => {
+    const filter = new KalmanFilter();
+    filter.filter(0, 0);
+    filter.filter(10, 33);
+    filter.reset();
+
+    assert.equal(filter.filter(80, 66), 80);
+    assert.equal(filter.velocity, 0);
+});
+
+test('VelocityPredictor leads a moving signal by the configured frames', () => {
+    const predictor = new VelocityPredictor(2, 1);
+
+    assert.equal(predictor.predict(10), 10);
+    assert.equal(predictor.predict(12), 16);
+    assert.equal(predictor.predict(12), 12);
+});
+
+test('VelocityPredictor with zero frames passes values through', () => {
+    const predictor = new VelocityPredictor(0);
+    predictor.predict(10);
+
+    assert.equal(predictor.predict(30), 30);
+});
+
+test('createCursorFilter builds the configured filter', () => {
+    const options = CONFIG.interaction;
+
+    assert.ok(createCursorFilter('oneEuro', options) instanceof OneEuroFilter);
+    assert.ok(createCursorFilter('kalman', options) instanceof KalmanFilter);
+    assert.throws(() => createCursorFilter('median', options), /Unknown cursor filter/);
+});
@@ -0,0 +1,200 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/config.js';
+import {
+    detectMiddleFinger,
+    distance2D,
+    openPalmConfidence,
+    fistConfidence,
+    pointConfidence,
+    victoryConfidence,
+    thumbsUpConfidence,
+    pinchConfidence,
+    handScale,
+    pinchThresholds,
+    BUILT_IN_GESTURES,
+    GestureRegistry,
+    createGestureRegistry
+} from '../src/gestures.js';
+import { handPose, pointerHand } from './helpers/landmarks.js';
+
+test('distance2D ignores depth', () => {
+    assert.equal(distance2D({ x: 0, y: 0, z: 5 }, { x: 3, y: 4, z: -5 }), 5);
+});
+
+test('detectMiddleFinger matches a lone extended middle finger', () => {
+    assert.equal(detectMiddleFinger(handPose({ extended: ['middle'] })), true);
+});
+
+test('detectMiddleFinger does not care about the thumb', () => {
+    assert.equal(detectMiddleFinger(handPose({ extended: ['thumb', 'middle'] })), true);
+});
+
+test('detectMiddleFinger rejects an open palm', () => {
+    assert.equal(detectMiddleFinger(handPose()), false);
+});
+
+test('detectMiddleFinger rejects a fist', () => {
+    assert.equal(detectMiddleFinger(handPose({ extended: [] })), false);
+});
+
+test('detectMiddleFinger rejects a victory sign', () => {
+    assert.equal(detectMiddleFinger(handPose({ extended: ['index', 'middle'] })), false);
+});
+
+test('detectMiddleFinger is independent of hand size', () => {
+    assert.equal(detectMiddleFinger(handPose({ extended: ['middle'], size: 0.4 })), true);
+    assert.equal(detectMiddleFinger(handPose({ extended: ['middle'], size: 2 })), true);
+});
+
+test('built-in detectors recognise their poses', () => {
+    const cases = [
+        ['openPalm', openPalmConfidence, handPose()],
+        ['fist', fistConfidence, handPose({ extended: [] })],
+        ['point', pointConfidence, handPose({ extended: ['index'] })],
+        ['victory', victoryConfidence, handPose({ extended: ['index', 'middle'] })],
+        ['thumbsUp', thumbsUpConfidence, handPose({ extended: ['thumb'] })],
+        ['pinch', pinchConfidence, pointerHand(50, 50, { pinch: true })]
+    ];
+
+    for (const [name, detect, landmarks] of cases) {
+        assert.ok(detect(landmarks, 'Right') >= 0.5, `${name} should match its own pose`);
+    }
+});
+
+test('built-in detectors reject other poses', () => {
+    assert.ok(openPalmConfidence(handPose({ extended: [] })) < 0.5);
+    assert.ok(fistConfidence(handPose()) < 0.5);
+    assert.ok(pointConfidence(handPose({ extended: ['index', 'middle'] })) < 0.5);
+    assert.ok(victoryConfidence(handPose({ extended: ['index'] })) < 0.5);
+    assert.ok(pinchConfidence(pointerHand(50, 50), 'Right') < 0.5);
+});
+
+test('thumbsUp needs the thumb to point upwards', () => {
+    const upsideDown = handPose({ extended: ['thumb'] }).map(p => ({ ...p, y: 1 - p.y }));
+    assert.ok(thumbsUpConfidence(upsideDown) < 0.5);
+});
+
+test('pinchConfidence keeps the grab hysteresis', () => {
+    // Between the engage and release thresholds: only an active pinch holds.
+    // At the reference hand size the configured thresholds apply unscaled.
+    const landmarks = pointerHand(50, 50, { size: 1.5 });
+    const gap = (CONFIG.interaction.pinchThreshold + CONFIG.interaction.pinchReleaseThreshold) / 2;
+    landmarks[4] = { x: landmarks[8].x + gap, y: landmarks[8].y, z: 0 };
+
+    assert.ok(pinchConfidence(landmarks, 'Right', { active: false }) < 0.5);
+    assert.ok(pinchConfidence(landmarks, 'Right', { active: true }) >= 0.5);
+});
+
+test('pinch thresholds scale with the apparent hand size, within limits', () => {
+    const options = CONFIG.interaction;
+    const { referenceHandSize } = options;
+
+    assert.equal(handScale(options, referenceHandSize), 1);
+    assert.equal(handScale(options, referenceHandSize * 2), 2);
+    assert.equal(handScale(options, referenceHandSize / 100), options.handScaleRange[0]);
+    assert.equal(handScale({ ...options, handSizeScaling: false }, referenceHandSize * 2), 1);
+
+    const near = pinchThresholds(options, referenceHandSize * 2);
+    assert.ok(Math.abs(near.engage - options.pinchThreshold * 2) < 1e-12);
+    assert.ok(Math.abs(near.release - options.pinchReleaseThreshold * 2) < 1e-12);
+});
+
+// A registry with only some of the built-in gestures
+function registryWith(names, options) {
+    const registry = new GestureRegistry(options);
+    BUILT_IN_GESTURES.filter(gesture => names.includes(gesture.name)).forEach(gesture => registry.register(gesture));
+    return registry;
+}
+
+test('registry fires start and end once the stabilizer confirms', () => {
+    const registry = registryWith(['fist', 'openPalm'], { confirmFrames: 3 });
+    const seen = [];
+    registry.on('start', event => seen.push(['start', event.gesture, event.hand]));
+    registry.on('end', event => seen.push(['end', event.gesture, event.hand]));
+
+    const fist = handPose({ extended: [] });
+    const palm = handPose();
+
+    registry.update(1, fist);
+    registry.update(1, fist);
+    assert.deepEqual(seen, []);
+
+    registry.update(1, fist);
+    assert.deepEqual(seen, [['start', 'fist', 1]]);
+    assert.equal(registry.isActive('fist', 1), true);
+
+    for (let i = 0; i < 3; i++) registry.update(1, palm);
+    assert.deepEqual(seen, [['start', 'fist', 1], ['end', 'fist', 1], ['start', 'openPalm', 1]]);
+});
+
+test('registry picks the highest-priority active gesture across hands', () => {
+    const registry = createGestureRegistry({ confirmFrames: 1 });
+
+    registry.update(0, handPose());
+    assert.equal(registry.getActiveGesture().name, 'openPalm');
+
+    for (let i = 0; i < 5; i++) registry.update(1, handPose({ extended: ['middle'] }));
+    const active = registry.getActiveGesture();
+    assert.equal(active.name, 'middleFinger');
+    assert.equal(active.hand, 1);
+    assert.equal(active.warning, true);
+    assert.equal(registry.findHand('middleFinger'), 1);
+});
+
+test('registry ends a lost hand\'s gestures', () => {
+    const registry = registryWith(['fist'], { confirmFrames: 1 });
+    const ended = [];
+    registry.on('end', event => ended.push(event.gesture));
+
+    registry.update(0, handPose({ extended: [] }));
+    registry.clearHand(0);
+
+    assert.deepEqual(ended, ['fist']);
+    assert.equal(registry.getActiveGesture(), null);
+});
+
+test('registry accepts custom gestures and unsubscribes listeners', () => {
+    const registry = new GestureRegistry({ confirmFrames: 1 });
+    const seen = [];
+
+    registry.register({ name: 'leftHand', detect: (landmarks, handedness) => handedness === 'Left' ? 1 : 0 });
+    const unsubscribe = registry.on('start', event => seen.push(event.gesture));
+
+    registry.update(0, handPose(), 'Right');
+    registry.update(1, handPose(), 'Left');
+    unsubscribe();
+    registry.update(2, handPose(), 'Left');
+
+    assert.deepEqual(seen, ['leftHand']);
+    assert.throws(() => registry.register({ name: 'leftHand', detect: () => 0 }));
+
+    assert.equal(registry.unregister('leftHand'), true);
+    assert.equal(registry.isActive('leftHand', 1), false);
+});
+
+test('registry hands its interaction options to the detectors', () => {
+    const landmarks = pointerHand(50, 50);
+    landmarks[4] = { x: landmarks[8].x + 0.1, y: landmarks[8].y, z: 0 };
+    const loose = { ...CONFIG.interaction, pinchThreshold: 0.2, pinchReleaseThreshold: 0.25 };
+
+    const strict = registryWith(['pinch'], { confirmFrames: 1 });
+    const relaxed = registryWith(['pinch'], { confirmFrames: 1, options: loose });
+    strict.update(0, landmarks);
+    relaxed.update(0, landmarks);
+
+    assert.equal(strict.isActive('pinch', 0), false);
+    assert.equal(relaxed.isActive('pinch', 0), true);
+});
+
+test('setOptions retunes the confirm frames of running gestures', () => {
+    const registry = registryWith(['fist'], { confirmFrames: 3 });
+    const fist = handPose({ extended: [] });
+
+    registry.update(0, fist);
+    registry.setOptions({ ...CONFIG.interaction, gestureConfirmFrames: 2 });
+    registry.update(0, fist);
+
+    assert.equal(registry.isActive('fist', 0), true);
+});
@@ -0,0 +1,68 @@
+/**
+ * Synthetic MediaPipe hand landmarks for tests.
+ * Builds 21-point hands in normalized image coordinates (0..1, y down).
+ */
+
+const FINGERS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+// Knuckle (first joint) offsets from the wrist for a hand of size 1
+const KNUCKLES = {
+    thumb: [-0.05, -0.03],
+    index: [-0.03, -0.1],
+    middle: [0, -0.1],
+    ring: [0.025, -0.095],
+    pinky: [0.05, -0.085]
+};
+
+export const ALL_FINGERS = Object.keys(FINGERS);
+
+/**
+ * A hand with the given fingers extended and the rest curled into the palm.
+ */
+export function handPose({ wrist = { x: 0.5, y: 0.7 }, extended = ALL_FINGERS, size = 1 } = {}) {
+    const landmarks = new Array(21);
+    landmarks[0] = { x: wrist.x, y: wrist.y, z: 0 };
+
+    for (const [finger, indices] of Object.entries(FINGERS)) {
+        const [ox, oy] = KNUCKLES[finger];
+        const len = Math.hypot(ox, oy);
+        const dir = { x: ox / len, y: oy / len };
+        const isExtended = extended.includes(finger);
+
+        indices.forEach((index, joint) => {
+            // Extended fingers continue outwards; curled ones fold back towards the wrist
+            const reach = joint === 0 ? 0 : (isExtended ? joint * 0.04 : -joint * 0.025);
+            landmarks[index] = {
+                x: wrist.x + (ox + dir.x * reach) * size,
+                y: wrist.y + (oy + dir.y * reach) * size,
+                z: 0
+            };
+        });
+    }
+
+    return landmarks;
+}
+
+/**
+ * A pointing hand whose index tip sits at the given cursor position
+ * (0..100, already mirrored the way the app displays it). `pinch` closes the
+ * thumb onto the index tip.
+ */
+export function pointerHand(cursorX, cursorY, { pinch = false, size = 1 } = {}) {
+    const hand = handPose({ wrist: { x: 0, y: 0 }, extended: ['thumb', 'index'], size });
+    const tip = { x: 1 - cursorX / 100, y: cursorY / 100 };
+    const shift = { x: tip.x - hand[8].x, y: tip.y - hand[8].y };
+
+    const landmarks = hand.map(p => ({ x: p.x + shift.x, y: p.y + shift.y, z: 0 }));
+
+    const gap = pinch ? 0.01 : 0.12;
+    landmarks[4] = { x: tip.x + gap, y: tip.y, z: 0 };
+
+    return landmarks;
+}
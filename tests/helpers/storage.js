@@ -0,0 +1,12 @@
+/**
+ * An in-memory stand-in for localStorage in tests.
+ */
+
+export function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
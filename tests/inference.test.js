@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createInference, supportsWorkerInference, MainThreadInference, WorkerInference } from '../src/inference.js';
+import { mergeConfig, CONFIG } from '../src/config.js';
+
+const withInference = inference => mergeConfig(CONFIG, { mediapipe: { inference } });
+
+const fakeLandmarker = result => ({
+    calls: [],
+    detectForVideo(source, timestamp) {
+        this.calls.push(timestamp);
+        return result;
+    },
+    close() {}
+});
+
+test('auto runs on the main thread without workers', () => {
+    assert.equal(supportsWorkerInference(), false);
+    assert.ok(createInference(withInference('auto')) instanceof MainThreadInference);
+    assert.ok(createInference(withInference('main')) instanceof MainThreadInference);
+    assert.ok(createInference(withInference('worker')) instanceof WorkerInference);
+});
+
+test('main thread results are taken once', () => {
+    const inference = new MainThreadInference(CONFIG);
+    inference.hand = fakeLandmarker({ landmarks: [[]], handednesses: [[]], worldLandmarks: [[]] });
+
+    inference.submit({}, 16, true);
+    assert.deepEqual(inference.takeResult(), {
+        timestamp: 16,
+        handResults: { landmarks: [[]], handednesses: [[]] },
+        faceResults: null
+    });
+    assert.equal(inference.takeResult(), null);
+});
+
+test('the face only runs on frames that ask for it', () => {
+    const inference = new MainThreadInference(CONFIG);
+    inference.hand = fakeLandmarker({ landmarks: [], handednesses: [] });
+    inference.face = fakeLandmarker({ faceLandmarks: [[]], faceBlendshapes: [] });
+
+    inference.submit({}, 1, false);
+    assert.equal(inference.takeResult().faceResults, null);
+
+    inference.submit({}, 2, true);
+    assert.deepEqual(inference.takeResult().faceResults, { faceLandmarks: [[]] });
+    assert.deepEqual(inference.face.calls, [2]);
+    assert.deepEqual(inference.hand.calls, [1, 2]);
+});
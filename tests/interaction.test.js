@@ -0,0 +1,615 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, mergeConfig } from '../src/config.js';
+import {
+    createScene,
+    assignHandSlots,
+    processInteraction,
+    deactivateHand,
+    getHoveredObjects,
+    setCursorFilter,
+    applyHandOptions,
+    dropRejection,
+    removeFromScene,
+    resetScene
+} from '../src/interaction.js';
+import { pointerHand } from './helpers/landmarks.js';
+
+const FRAME_MS = 33;
+
+function makeScene() {
+    return createScene({
+        objects: [
+            { id: 'obj-orb', type: 'orb', x: 20, y: 20 },
+            { id: 'obj-cube', type: 'cube', x: 60, y: 60 }
+        ],
+        dropZones: [{ id: 'bin', x: 85, y: 50, w: 16, h: 30 }],
+        viewport: { width: 1000, height: 1000 }
+    });
+}
+
+/**
+ * Drives one or more hands through the scene, a frame at a time.
+ * `hands` maps a slot to the landmarks it sees; every frame gets all of them.
+ */
+function createDriver(scene) {
+    let t = 0;
+    const events = [];
+
+    return {
+        events,
+        frames(count, hands) {
+            for (let i = 0; i < count; i++) {
+                t += FRAME_MS;
+                for (const [slot, landmarks] of Object.entries(hands)) {
+                    events.push(...processInteraction(scene, Number(slot), landmarks, t));
+                }
+            }
+        },
+        // Moves hands linearly from one pose to another over `count` frames
+        glide(count, from, to, options = {}) {
+            for (let i = 1; i <= count; i++) {
+                const k = i / count;
+                const hands = {};
+                for (const slot of Object.keys(from)) {
+                    const [x0, y0] = from[slot];
+                    const [x1, y1] = to[slot];
+                    hands[slot] = pointerHand(x0 + (x1 - x0) * k, y0 + (y1 - y0) * k, options);
+                }
+                this.frames(1, hands);
+            }
+        }
+    };
+}
+
+// Grab-state transitions only; per-frame moves and hover changes are checked separately
+const types = events => events.map(event => event.type).filter(type => type !== 'move' && type !== 'hover');
+
+test('cursor follows the mirrored index fingertip', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+
+    drive.frames(5, { 0: pointerHand(30, 70) });
+
+    const { cursor } = scene.hands[0];
+    assert.ok(Math.abs(cursor.x - 30) < 1e-9);
+    assert.ok(Math.abs(cursor.y - 70) < 1e-9);
+    assert.equal(scene.hands[0].active, true);
+});
+
+test('cursor filters can be picked per hand', () => {
+    const options = mergeConfig(CONFIG.interaction, { cursorFilter: ['kalman', 'oneEuro'] });
+    const scene = createScene({ numHands: 3, options });
+
+    assert.deepEqual(scene.hands.map(hand => hand.filterType), ['kalman', 'oneEuro', 'oneEuro']);
+
+    setCursorFilter(scene.hands[1], 'kalman', options);
+    assert.equal(scene.hands[1].filterType, 'kalman');
+    assert.throws(() => setCursorFilter(scene.hands[1], 'median', options), /Unknown cursor filter/);
+    assert.equal(scene.hands[1].filterType, 'kalman');
+});
+
+test('prediction keeps a fast drag closer to the hand', () => {
+    const lagWith = interaction => {
+        const options = mergeConfig(CONFIG.interaction, interaction);
+        const scene = createScene({
+            objects: [{ id: 'obj-orb', type: 'orb', x: 20, y: 50 }],
+            viewport: { width: 1000, height: 1000 },
+            options
+        });
+        let t = 0;
+        for (let i = 0; i < 5; i++) {
+            processInteraction(scene, 0, pointerHand(20, 50, { pinch: true }), t += FRAME_MS, options);
+        }
+        for (let x = 22; x <= 60; x += 2) {
+            processInteraction(scene, 0, pointerHand(x, 50, { pinch: true }), t += FRAME_MS, options);
+        }
+        return Math.abs(60 - scene.objects[0].x);
+    };
+
+    const plain = lagWith({ predictiveFrames: 0 });
+    assert.ok(lagWith({ predictiveFrames: 2 }) < plain / 2);
+    assert.ok(lagWith({ cursorFilter: 'kalman', predictiveFrames: 0 }) < plain / 2);
+});
+
+test('hands keep smoothed landmarks while the cursor reads the raw fingertip', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+
+    drive.frames(5, { 0: pointerHand(30, 70) });
+    drive.frames(1, { 0: pointerHand(40, 70) });
+
+    const hand = scene.hands[0];
+    const tipX = (1 - hand.landmarks[8].x) * 100;
+    assert.equal(hand.landmarks.length, 21);
+    assert.ok(tipX > 30 && tipX < 40, `expected a smoothed fingertip, got ${tipX}`);
+
+    deactivateHand(scene, 0);
+    assert.equal(hand.landmarks, null);
+});
+
+test('landmark smoothing can be turned off', () => {
+    const options = mergeConfig(CONFIG.interaction, { landmarkFilter: { enabled: false } });
+    const scene = createScene({ options });
+    const landmarks = pointerHand(30, 70);
+
+    processInteraction(scene, 0, landmarks, 0, options);
+    assert.equal(scene.hands[0].landmarks, landmarks);
+});
+
+test('applyHandOptions retunes a hand without resetting it', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    drive.frames(5, { 0: pointerHand(30, 70) });
+
+    const hand = scene.hands[0];
+    const { filterX } = hand;
+    applyHandOptions(hand, mergeConfig(CONFIG.interaction, {
+        gestureConfirmFrames: 5,
+        oneEuro: { minCutoff: 2 },
+        landmarkFilter: { enabled: false }
+    }));
+
+    assert.equal(hand.filterX, filterX);
+    assert.equal(filterX.minCutoff, 2);
+    assert.notEqual(filterX.xPrev, null);
+    assert.equal(hand.pinchStabilizer.requiredFrames, 5);
+    assert.equal(hand.landmarkSmoother, null);
+});
+
+test('applyHandOptions switches a hand to a new cursor filter', () => {
+    const scene = makeScene();
+    const [first, second] = scene.hands;
+    const { filterX } = first;
+
+    applyHandOptions(first, mergeConfig(CONFIG.interaction, { cursorFilter: 'kalman' }), 0);
+    assert.equal(first.filterType, 'kalman');
+    assert.notEqual(first.filterX, filterX);
+
+    // Per-slot lists pick each hand's own
+    const perSlot = mergeConfig(CONFIG.interaction, { cursorFilter: ['oneEuro', 'kalman'] });
+    applyHandOptions(first, perSlot, 0);
+    applyHandOptions(second, perSlot, 1);
+    assert.equal(first.filterType, 'oneEuro');
+    assert.equal(second.filterType, 'kalman');
+});
+
+test('calibrated pinch thresholds scale with the hand', () => {
+    const calibrated = mergeConfig(CONFIG.interaction, { pinchCalibration: { pinch: 0.43, release: 0.65 } });
+    // A big hand close to the camera: the 0.12 gap is only 0.4 hand sizes
+    const nearHand = pointerHand(40, 40, { size: 3 });
+
+    const pinchedWith = options => {
+        const scene = createScene({ options });
+        for (let t = 0; t < 10; t++) processInteraction(scene, 0, nearHand, t * FRAME_MS, options);
+        return scene.hands[0].isPinching;
+    };
+
+    assert.equal(pinchedWith(mergeConfig(CONFIG.interaction, { handSizeScaling: false })), false);
+    assert.equal(pinchedWith(calibrated), true);
+});
+
+test('the grab radius grows as the hand comes closer', () => {
+    // The orb sits 120 px right of the cursor in a 1000 px viewport
+    const nearestWith = (size, options = CONFIG.interaction) => {
+        const scene = createScene({
+            objects: [{ id: 'obj-orb', type: 'orb', x: 52, y: 40 }],
+            viewport: { width: 1000, height: 1000 },
+            options
+        });
+        processInteraction(scene, 0, pointerHand(40, 40, { size }), 0, options);
+        return scene.hands[0].nearestObject?.id ?? null;
+    };
+
+    assert.equal(nearestWith(1.5), null);
+    assert.equal(nearestWith(3), 'obj-orb');
+    assert.equal(nearestWith(3, mergeConfig(CONFIG.interaction, { handSizeScaling: false })), null);
+});
+
+test('an unmirrored scene keeps the camera\'s x direction', () => {
+    const scene = createScene({ mirror: false });
+    const landmarks = pointerHand(30, 70);
+
+    for (let t = 0; t < 5; t++) processInteraction(scene, 0, landmarks, t * FRAME_MS);
+
+    assert.ok(Math.abs(scene.hands[0].cursor.x - 70) < 1e-9);
+    assert.ok(Math.abs(scene.hands[0].cursor.y - 70) < 1e-9);
+    assert.deepEqual(assignHandSlots(scene.hands, [pointerHand(70, 70), landmarks], false), [1, 0]);
+});
+
+test('pinch only engages after the confirm frames', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+
+    drive.frames(CONFIG.interaction.gestureConfirmFrames - 1, { 0: pointerHand(50, 50, { pinch: true }) });
+    assert.equal(scene.hands[0].isPinching, false);
+
+    drive.frames(1, { 0: pointerHand(50, 50, { pinch: true }) });
+    assert.equal(scene.hands[0].isPinching, true);
+});
+
+test('hovering near an object marks it as the nearest one', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+
+    drive.frames(3, { 0: pointerHand(22, 21) });
+
+    assert.equal(scene.hands[0].nearestObject?.id, 'obj-orb');
+    assert.deepEqual([...getHoveredObjects(scene)].map(obj => obj.id), ['obj-orb']);
+});
+
+test('hover events fire when the nearest object changes', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+
+    drive.frames(3, { 0: pointerHand(22, 21) });
+    drive.frames(3, { 0: pointerHand(22, 21) });
+    drive.glide(10, { 0: [22, 21] }, { 0: [40, 40] });
+
+    const hovers = drive.events.filter(event => event.type === 'hover');
+    assert.deepEqual(hovers.map(event => [event.object?.id ?? null, event.previous?.id ?? null]), [
+        ['obj-orb', null],
+        [null, 'obj-orb']
+    ]);
+});
+
+test('a hand leaving the frame ends its hover', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+
+    drive.frames(3, { 0: pointerHand(22, 21) });
+    const events = deactivateHand(scene, 0);
+
+    assert.deepEqual(events.map(event => [event.type, event.object, event.previous.id]), [['hover', null, 'obj-orb']]);
+});
+
+test('objects outside the grab radius are not grabbed', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+
+    drive.frames(5, { 0: pointerHand(40, 40, { pinch: true }) });
+
+    assert.equal(scene.hands[0].isPinching, true);
+    assert.equal(scene.hands[0].grabbedObject, null);
+    assert.deepEqual(types(drive.events), []);
+});
+
+test('pinching near an object grabs it and moving carries it along', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const orb = scene.objects[0];
+
+    drive.frames(5, { 0: pointerHand(22, 22, { pinch: true }) });
+    assert.equal(scene.hands[0].grabbedObject, orb);
+    assert.equal(orb.isGrabbed, true);
+    assert.deepEqual(types(drive.events), ['grab']);
+
+    drive.glide(20, { 0: [22, 22] }, { 0: [42, 32] }, { pinch: true });
+    drive.frames(30, { 0: pointerHand(42, 32, { pinch: true }) });
+
+    // The grab offset is preserved while dragging
+    assert.ok(Math.abs(orb.x - 40) < 0.5, `x = ${orb.x}`);
+    assert.ok(Math.abs(orb.y - 30) < 0.5, `y = ${orb.y}`);
+});
+
+test('releasing away from the drop zone frees the object', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const orb = scene.objects[0];
+
+    drive.frames(5, { 0: pointerHand(20, 20, { pinch: true }) });
+    drive.frames(5, { 0: pointerHand(20, 20) });
+
+    assert.deepEqual(types(drive.events), ['grab', 'release']);
+    assert.equal(orb.isGrabbed, false);
+    assert.equal(orb.inZone, false);
+    assert.equal(scene.hands[0].grabbedObject, null);
+});
+
+test('releasing over the drop zone stores the object', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const orb = scene.objects[0];
+
+    drive.frames(5, { 0: pointerHand(20, 20, { pinch: true }) });
+    drive.glide(30, { 0: [20, 20] }, { 0: [85, 50] }, { pinch: true });
+    drive.frames(20, { 0: pointerHand(85, 50, { pinch: true }) });
+    assert.equal(scene.hands[0].overZone, scene.dropZones[0]);
+
+    drive.frames(5, { 0: pointerHand(85, 50) });
+
+    assert.deepEqual(types(drive.events), ['grab', 'drop']);
+    assert.equal(orb.inZone, true);
+    assert.equal(orb.x, 85);
+    assert.equal(orb.y, 50);
+    assert.equal(orb.zone, 'bin');
+    assert.equal(scene.dropZones[0].count, 1);
+});
+
+test('stored objects can no longer be grabbed', () => {
+    const scene = makeScene();
+    const orb = scene.objects[0];
+    orb.inZone = true;
+
+    const drive = createDriver(scene);
+    drive.frames(5, { 0: pointerHand(20, 20, { pinch: true }) });
+
+    assert.equal(scene.hands[0].grabbedObject, null);
+});
+
+function zonedScene(dropZones) {
+    return createScene({
+        objects: [
+            { id: 'obj-orb', type: 'orb', x: 20, y: 20 },
+            { id: 'obj-cube', type: 'cube', x: 60, y: 60 }
+        ],
+        dropZones,
+        viewport: { width: 1000, height: 1000 }
+    });
+}
+
+// Grabs whatever is at `from`, carries it to `to` and lets go
+function carry(drive, from, to) {
+    drive.frames(5, { 0: pointerHand(...from, { pinch: true }) });
+    drive.glide(30, { 0: from }, { 0: to }, { pinch: true });
+    drive.frames(20, { 0: pointerHand(...to, { pinch: true }) });
+    drive.frames(5, { 0: pointerHand(...to) });
+}
+
+test('drops land in the zone under the object', () => {
+    const scene = zonedScene([
+        { id: 'top', x: 85, y: 20, w: 16, h: 20 },
+        { id: 'bottom', x: 85, y: 80, w: 16, h: 20 }
+    ]);
+    const drive = createDriver(scene);
+    const orb = scene.objects[0];
+
+    carry(drive, [20, 20], [85, 80]);
+
+    const drop = drive.events.find(event => event.type === 'drop');
+    assert.equal(drop.zone.id, 'bottom');
+    assert.equal(orb.zone, 'bottom');
+    assert.equal(orb.y, 80);
+    assert.deepEqual(scene.dropZones.map(zone => zone.count), [0, 1]);
+});
+
+test('zones turn away object types they do not accept', () => {
+    const scene = zonedScene([{ id: 'cubes', x: 85, y: 50, w: 16, h: 30, accepts: ['cube'] }]);
+    const drive = createDriver(scene);
+    const orb = scene.objects[0];
+
+    drive.frames(5, { 0: pointerHand(20, 20, { pinch: true }) });
+    drive.glide(30, { 0: [20, 20] }, { 0: [85, 50] }, { pinch: true });
+    drive.frames(20, { 0: pointerHand(85, 50, { pinch: true }) });
+    assert.equal(scene.hands[0].dropRejection, 'type');
+
+    drive.frames(5, { 0: pointerHand(85, 50) });
+
+    assert.deepEqual(types(drive.events), ['grab', 'dropRejected']);
+    assert.equal(drive.events.at(-1).reason, 'type');
+    assert.equal(orb.inZone, false);
+    assert.equal(orb.isGrabbed, false);
+    // Back where it started
+    assert.equal(orb.x, 20);
+    assert.equal(orb.y, 20);
+    assert.equal(scene.dropZones[0].count, 0);
+});
+
+test('full zones turn objects away', () => {
+    const scene = zonedScene([{ id: 'bin', x: 85, y: 50, w: 16, h: 30, capacity: 1 }]);
+    const drive = createDriver(scene);
+
+    carry(drive, [20, 20], [85, 50]);
+    carry(drive, [60, 60], [85, 50]);
+
+    assert.deepEqual(types(drive.events), ['grab', 'drop', 'grab', 'dropRejected']);
+    assert.equal(drive.events.at(-1).reason, 'full');
+    assert.equal(scene.objects[1].inZone, false);
+    assert.equal(scene.dropZones[0].count, 1);
+});
+
+test('dropRejection checks the type before the capacity', () => {
+    const zone = { accepts: ['gem', 'orb'], capacity: 2, count: 2 };
+
+    assert.equal(dropRejection(zone, { type: 'cube' }), 'type');
+    assert.equal(dropRejection(zone, { type: 'gem' }), 'full');
+    assert.equal(dropRejection({ ...zone, count: 1 }, { type: 'orb' }), null);
+    assert.equal(dropRejection({ accepts: null, capacity: null, count: 10 }, { type: 'cube' }), null);
+});
+
+test('objects that are not grabbable ignore pinches', () => {
+    const scene = makeScene();
+    const orb = scene.objects[0];
+    orb.behavior.grabbable = false;
+
+    const drive = createDriver(scene);
+    drive.frames(5, { 0: pointerHand(20, 20, { pinch: true }) });
+
+    assert.equal(scene.hands[0].nearestObject, null);
+    assert.equal(scene.hands[0].grabbedObject, null);
+    assert.equal(orb.isGrabbed, false);
+});
+
+test('objects that do not scale refuse a second hand', () => {
+    const scene = makeScene();
+    const cube = scene.objects[1];
+    cube.behavior.scalable = false;
+
+    const drive = createDriver(scene);
+    drive.frames(5, { 0: pointerHand(55, 60, { pinch: true }) });
+    drive.frames(5, {
+        0: pointerHand(55, 60, { pinch: true }),
+        1: pointerHand(65, 60, { pinch: true })
+    });
+
+    assert.equal(cube.grip, null);
+    assert.equal(scene.hands[1].grabbedObject, null);
+    assert.deepEqual(types(drive.events), ['grab']);
+});
+
+test('objects that are not droppable pass over drop zones', () => {
+    const scene = makeScene();
+    const orb = scene.objects[0];
+    orb.behavior.droppable = false;
+
+    const drive = createDriver(scene);
+    carry(drive, [20, 20], [85, 50]);
+
+    assert.deepEqual(types(drive.events), ['grab', 'release']);
+    assert.equal(orb.inZone, false);
+    assert.equal(scene.dropZones[0].count, 0);
+});
+
+test('removing a held object makes the hand let go', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const orb = scene.objects[0];
+
+    drive.frames(5, { 0: pointerHand(20, 20, { pinch: true }) });
+    const events = removeFromScene(scene, orb);
+
+    assert.deepEqual(events.map(event => event.type), ['release']);
+    assert.equal(scene.hands[0].grabbedObject, null);
+    assert.deepEqual(scene.objects.map(obj => obj.id), ['obj-cube']);
+});
+
+test('removing a stored object frees its place in the zone', () => {
+    const scene = zonedScene([{ id: 'bin', x: 85, y: 50, w: 16, h: 30, capacity: 1 }]);
+    const drive = createDriver(scene);
+
+    carry(drive, [20, 20], [85, 50]);
+    assert.equal(scene.dropZones[0].count, 1);
+
+    removeFromScene(scene, scene.objects[0]);
+    assert.equal(scene.dropZones[0].count, 0);
+});
+
+test('two hands hold two different objects at once', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const [orb, cube] = scene.objects;
+
+    drive.frames(5, {
+        0: pointerHand(20, 20, { pinch: true }),
+        1: pointerHand(60, 60, { pinch: true })
+    });
+
+    assert.equal(scene.hands[0].grabbedObject, orb);
+    assert.equal(scene.hands[1].grabbedObject, cube);
+    assert.deepEqual(drive.events.filter(e => e.type === 'grab').map(e => e.hand), [0, 1]);
+});
+
+test('two hands on one object scale and rotate it', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const cube = scene.objects[1];
+
+    drive.frames(5, { 0: pointerHand(55, 60, { pinch: true }) });
+    drive.frames(5, {
+        0: pointerHand(55, 60, { pinch: true }),
+        1: pointerHand(65, 60, { pinch: true })
+    });
+    assert.ok(cube.grip, 'second hand starts a two-hand grip');
+    assert.deepEqual(types(drive.events), ['grab', 'gripStart']);
+
+    // Spread to twice the distance and turn the line by 90 degrees
+    drive.glide(20, { 0: [55, 60], 1: [65, 60] }, { 0: [60, 50], 1: [60, 70] }, { pinch: true });
+    drive.frames(40, {
+        0: pointerHand(60, 50, { pinch: true }),
+        1: pointerHand(60, 70, { pinch: true })
+    });
+
+    assert.ok(Math.abs(cube.scale - 2) < 0.02, `scale = ${cube.scale}`);
+    assert.ok(Math.abs(cube.rotation - 90) < 1, `rotation = ${cube.rotation}`);
+});
+
+test('two-hand scaling is clamped', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const cube = scene.objects[1];
+
+    drive.frames(5, { 0: pointerHand(58, 60, { pinch: true }) });
+    drive.frames(5, {
+        0: pointerHand(58, 60, { pinch: true }),
+        1: pointerHand(62, 60, { pinch: true })
+    });
+    drive.glide(20, { 0: [58, 60], 1: [62, 60] }, { 0: [10, 60], 1: [90, 60] }, { pinch: true });
+    drive.frames(40, {
+        0: pointerHand(10, 60, { pinch: true }),
+        1: pointerHand(90, 60, { pinch: true })
+    });
+
+    assert.equal(cube.scale, CONFIG.interaction.maxObjectScale);
+});
+
+test('letting go with one of two hands keeps the object held', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const cube = scene.objects[1];
+
+    drive.frames(5, { 0: pointerHand(55, 60, { pinch: true }) });
+    drive.frames(5, {
+        0: pointerHand(55, 60, { pinch: true }),
+        1: pointerHand(65, 60, { pinch: true })
+    });
+    drive.frames(5, {
+        0: pointerHand(55, 60, { pinch: true }),
+        1: pointerHand(65, 60)
+    });
+
+    assert.deepEqual(types(drive.events), ['grab', 'gripStart', 'gripEnd']);
+    assert.equal(cube.grip, null);
+    assert.equal(cube.isGrabbed, true);
+    assert.equal(scene.hands[0].grabbedObject, cube);
+});
+
+test('a hand leaving the frame releases its object', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const orb = scene.objects[0];
+
+    drive.frames(5, { 0: pointerHand(20, 20, { pinch: true }) });
+    const events = deactivateHand(scene, 0);
+
+    assert.deepEqual(types(events), ['release']);
+    assert.equal(orb.isGrabbed, false);
+    assert.equal(scene.hands[0].active, false);
+    assert.equal(scene.hands[0].isPinching, false);
+});
+
+test('assignHandSlots keeps hands in their slots when detection order swaps', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+
+    drive.frames(5, { 0: pointerHand(20, 20), 1: pointerHand(80, 80) });
+
+    assert.deepEqual(assignHandSlots(scene.hands, [pointerHand(79, 81), pointerHand(21, 19)]), [1, 0]);
+});
+
+test('assignHandSlots gives new hands the free slots in order', () => {
+    const scene = makeScene();
+
+    assert.deepEqual(assignHandSlots(scene.hands, [pointerHand(50, 50), pointerHand(10, 10)]), [0, 1]);
+});
+
+test('resetScene restores positions and clears holds', () => {
+    const scene = makeScene();
+    const drive = createDriver(scene);
+    const orb = scene.objects[0];
+
+    drive.frames(5, { 0: pointerHand(20, 20, { pinch: true }) });
+    drive.glide(10, { 0: [20, 20] }, { 0: [40, 40] }, { pinch: true });
+    orb.scale = 2;
+    orb.rotation = 45;
+
+    resetScene(scene);
+
+    assert.equal(orb.x, 20);
+    assert.equal(orb.y, 20);
+    assert.equal(orb.scale, 1);
+    assert.equal(orb.rotation, 0);
+    assert.equal(orb.isGrabbed, false);
+    assert.equal(scene.hands[0].grabbedObject, null);
+    assert.equal(scene.dropZones[0].count, 0);
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createScene } from '../src/interaction.js';
+import {
+    captureLayout,
+    restoreLayout,
+    parseLayout,
+    encodeLayout,
+    decodeLayout,
+    loadLayouts,
+    saveLayouts,
+    LAYOUT_VERSION,
+    LAYOUTS_STORAGE_KEY
+} from '../src/layouts.js';
+import { memoryStorage } from './helpers/storage.js';
+
+function makeScene() {
+    return createScene({
+        objects: [
+            { id: 'obj-orb', type: 'orb', x: 20, y: 20 },
+            { id: 'obj-cube', type: 'cube', x: 60, y: 60 }
+        ],
+        dropZones: [{ id: 'bin', x: 85, y: 50, w: 16, h: 30 }]
+    });
+}
+
+test('a captured layout restores positions, transforms and zones', () => {
+    const scene = makeScene();
+    const [orb, cube] = scene.objects;
+    Object.assign(orb, { x: 40.123, y: 70, scale: 1.5, rotation: 30 });
+    Object.assign(cube, { x: 85, y: 50, inZone: true, zone: 'bin' });
+    scene.dropZones[0].count = 1;
+
+    const layout = captureLayout(scene);
+    assert.deepEqual(layout.objects[0], { id: 'obj-orb', x: 40.12, y: 70, scale: 1.5, rotation: 30, zone: null });
+
+    const fresh = makeScene();
+    restoreLayout(fresh, parseLayout(layout));
+
+    assert.equal(fresh.objects[0].x, 40.12);
+    assert.equal(fresh.objects[0].scale, 1.5);
+    assert.equal(fresh.objects[1].inZone, true);
+    assert.equal(fresh.objects[1].zone, 'bin');
+    assert.equal(fresh.dropZones[0].count, 1);
+});
+
+test('restoring lets go of held objects and skips unknown ids and zones', () => {
+    const scene = makeScene();
+    const [orb, cube] = scene.objects;
+    orb.isGrabbed = true;
+    scene.hands[0].grabbedObject = orb;
+    scene.hands[0].nearestObject = orb;
+
+    const events = restoreLayout(scene, parseLayout({
+        version: LAYOUT_VERSION,
+        objects: [
+            { id: 'obj-cube', x: 30, y: 30, zone: 'gone' },
+            { id: 'obj-missing', x: 50, y: 50 }
+        ]
+    }));
+
+    assert.equal(scene.hands[0].grabbedObject, null);
+    assert.equal(orb.isGrabbed, false);
+    assert.deepEqual(events, [
+        { type: 'release', hand: 0, object: orb },
+        { type: 'hover', hand: 0, object: null, previous: orb }
+    ]);
+    assert.equal(orb.x, 20);
+    assert.equal(cube.x, 30);
+    assert.equal(cube.inZone, false);
+    assert.equal(scene.dropZones[0].count, 0);
+});
+
+test('restoring keeps to the zones\' type and capacity rules', () => {
+    const scene = createScene({
+        objects: [
+            { id: 'gem-a', type: 'gem', x: 20, y: 20 },
+            { id: 'gem-b', type: 'gem', x: 30, y: 20 },
+            { id: 'cube', type: 'cube', x: 40, y: 20 }
+        ],
+        dropZones: [{ id: 'bin', x: 85, y: 50, w: 16, h: 30, capacity: 1, accepts: ['gem'] }]
+    });
+
+    restoreLayout(scene, parseLayout({
+        version: LAYOUT_VERSION,
+        objects: ['gem-a', 'gem-b', 'cube'].map((id, i) => ({ id, x: 10 + 10 * i, y: 60, zone: 'bin' }))
+    }));
+
+    const [gemA, gemB, cube] = scene.objects;
+    assert.equal(gemA.zone, 'bin');
+    assert.equal(gemA.x, 85);
+    // Full by then, and the wrong type: both stay where the layout put them, out of the zone
+    assert.deepEqual([gemB.zone, gemB.inZone, gemB.x], [null, false, 20]);
+    assert.deepEqual([cube.zone, cube.inZone, cube.x], [null, false, 30]);
+    assert.equal(scene.dropZones[0].count, 1);
+});
+
+test('layouts from links are kept on screen and within the scale limits', () => {
+    const { objects: [entry] } = parseLayout({
+        version: LAYOUT_VERSION,
+        objects: [{ id: 'obj-orb', x: -400, y: 1e6, scale: 50 }]
+    });
+
+    assert.equal(entry.x, 5);
+    assert.equal(entry.y, 95);
+    assert.equal(entry.scale, 2.5);
+
+    assert.equal(parseLayout({ version: LAYOUT_VERSION, objects: [{ id: 'a', x: 50, y: 50, scale: 0.01 }] }).objects[0].scale, 0.5);
+});
+
+test('layouts survive a round trip through a URL-safe code', () => {
+    const layout = captureLayout(makeScene());
+    layout.objects[0].id = 'obj-étoile';
+
+    const code = encodeLayout(layout);
+    assert.match(code, /^[\w-]+$/);
+    assert.deepEqual(decodeLayout(code), layout);
+});
+
+test('malformed layouts are rejected', () => {
+    assert.throws(() => parseLayout({ version: 99, objects: [] }), /version/);
+    assert.throws(() => parseLayout({ version: LAYOUT_VERSION }), /objects list/);
+    assert.throws(() => parseLayout({ version: LAYOUT_VERSION, objects: [{ id: 'a', x: 'left' }] }), /position/);
+    assert.throws(() => decodeLayout('not-a-layout'));
+});
+
+test('layouts persist in storage', () => {
+    const storage = memoryStorage();
+    assert.deepEqual(loadLayouts(storage), { current: null, snapshots: {} });
+
+    const layout = captureLayout(makeScene());
+    saveLayouts(storage, { current: layout, snapshots: { tidy: layout } });
+    assert.deepEqual(loadLayouts(storage), { current: layout, snapshots: { tidy: layout } });
+
+    storage.setItem(LAYOUTS_STORAGE_KEY, '{broken');
+    assert.deepEqual(loadLayouts(storage), { current: null, snapshots: {} });
+});
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, mergeConfig } from '../src/config.js';
+import { createScene, processInteraction, deactivateHand } from '../src/interaction.js';
+import { stepPhysics } from '../src/physics.js';
+import { pointerHand } from './helpers/landmarks.js';
+
+const FRAME_MS = 33;
+const PHYSICS = CONFIG.interaction.physics;
+const RADIUS = CONFIG.interaction.objectRadius;
+
+function makeScene({ objects, dropZones = [] } = {}) {
+    return createScene({
+        objects: objects ?? [{ id: 'obj-orb', type: 'orb', x: 20, y: 50 }],
+        dropZones,
+        viewport: { width: 1000, height: 1000 }
+    });
+}
+
+// Runs the physics for `seconds` at the camera's frame rate
+function simulate(scene, seconds) {
+    const events = [];
+    for (let t = 0; t < seconds; t += FRAME_MS / 1000) {
+        events.push(...stepPhysics(scene, FRAME_MS / 1000));
+    }
+    return events;
+}
+
+// Pinches at `from`, drags to `to` in `frames` frames and lets go while still moving
+function flick(scene, from, to, frames) {
+    let t = 0;
+    const at = (x, y, pinch) => {
+        t += FRAME_MS;
+        processInteraction(scene, 0, pointerHand(x, y, { pinch }), t);
+    };
+
+    for (let i = 0; i < 5; i++) at(...from, true);
+    for (let i = 1; i <= frames; i++) {
+        at(from[0] + (to[0] - from[0]) * i / frames, from[1] + (to[1] - from[1]) * i / frames, true);
+    }
+    // Keep going while the hand opens
+    const step = [(to[0] - from[0]) / frames, (to[1] - from[1]) / frames];
+    for (let i = 1; i <= 6; i++) at(to[0] + step[0] * i, to[1] + step[1] * i, false);
+}
+
+test('a fast release throws the object in the direction of the hand', () => {
+    const scene = makeScene();
+    const orb = scene.objects[0];
+
+    flick(scene, [20, 50], [40, 50], 8);
+    assert.equal(orb.isGrabbed, false);
+    assert.ok(orb.vx > PHYSICS.minThrowSpeed, `vx = ${orb.vx}`);
+    assert.ok(Math.abs(orb.vy) < orb.vx / 5, `vy = ${orb.vy}`);
+    assert.equal(orb.thrownBy, 0);
+
+    const released = orb.x;
+    simulate(scene, 3);
+    assert.ok(orb.x > released + 5, `x = ${orb.x}`);
+    assert.equal(orb.vx, 0, 'friction brings it to rest');
+});
+
+test('a still release just puts the object down', () => {
+    const scene = makeScene();
+    const orb = scene.objects[0];
+    let t = 0;
+
+    for (let i = 0; i < 5; i++) processInteraction(scene, 0, pointerHand(20, 50, { pinch: true }), t += FRAME_MS);
+    for (let i = 0; i < 5; i++) processInteraction(scene, 0, pointerHand(20, 50), t += FRAME_MS);
+
+    assert.equal(orb.vx, 0);
+    assert.equal(orb.vy, 0);
+    assert.deepEqual(simulate(scene, 1), []);
+});
+
+test('a hand that goes away mid-drag lets go without throwing', () => {
+    const scene = makeScene();
+    const orb = scene.objects[0];
+    let t = 0;
+
+    for (let i = 0; i < 5; i++) processInteraction(scene, 0, pointerHand(20, 50, { pinch: true }), t += FRAME_MS);
+    for (let i = 1; i <= 8; i++) processInteraction(scene, 0, pointerHand(20 + 2.5 * i, 50, { pinch: true }), t += FRAME_MS);
+    assert.ok(Math.abs(scene.hands[0].filterX.velocity) > PHYSICS.minThrowSpeed, 'the hand is still moving');
+
+    // What pause(), stop() and a camera switch do to every hand
+    deactivateHand(scene, 0);
+
+    assert.equal(orb.isGrabbed, false);
+    assert.equal(orb.vx, 0);
+    assert.equal(orb.vy, 0);
+    assert.equal(orb.thrownBy, null);
+    assert.deepEqual(simulate(scene, 1), []);
+});
+
+test('throw speed is capped', () => {
+    const scene = makeScene();
+    const orb = scene.objects[0];
+
+    flick(scene, [20, 50], [80, 50], 2);
+    assert.ok(Math.hypot(orb.vx, orb.vy) <= PHYSICS.maxThrowSpeed + 1e-9);
+});
+
+test('objects bounce off the viewport edges', () => {
+    const scene = makeScene({ objects: [{ id: 'obj-orb', type: 'orb', x: 94, y: 50 }] });
+    const orb = scene.objects[0];
+    orb.vx = 100;
+
+    stepPhysics(scene, 0.033);
+
+    assert.equal(orb.x, 95);
+    assert.ok(orb.vx < 0, `vx = ${orb.vx}`);
+    assert.ok(Math.abs(orb.vx) < 100 * PHYSICS.restitution + 1e-9);
+});
+
+test('a thrown object knocks a resting one along', () => {
+    const scene = makeScene({
+        objects: [
+            { id: 'obj-orb', type: 'orb', x: 20, y: 50 },
+            { id: 'obj-cube', type: 'cube', x: 40, y: 50 }
+        ]
+    });
+    const [orb, cube] = scene.objects;
+    orb.vx = 150;
+    orb.thrownBy = 1;
+
+    simulate(scene, 0.5);
+
+    assert.ok(cube.vx > 0 || cube.x > 40, 'the cube was pushed');
+    assert.ok(orb.x < cube.x, 'they do not pass through each other');
+    const gap = (cube.x - orb.x) * 10;
+    assert.ok(gap >= RADIUS * 2 - 1e-6, `gap = ${gap}px`);
+    assert.equal(cube.thrownBy, 1);
+});
+
+test('held objects stop thrown ones like a wall', () => {
+    const scene = makeScene({
+        objects: [
+            { id: 'obj-orb', type: 'orb', x: 20, y: 50 },
+            { id: 'obj-cube', type: 'cube', x: 30, y: 50 }
+        ]
+    });
+    const [orb, cube] = scene.objects;
+    cube.isGrabbed = true;
+    orb.vx = 100;
+
+    stepPhysics(scene, 0.033);
+    stepPhysics(scene, 0.033);
+
+    assert.equal(cube.x, 30);
+    assert.ok(orb.vx < 0, `vx = ${orb.vx}`);
+});
+
+test('objects thrown into a zone land in it', () => {
+    const scene = makeScene({ dropZones: [{ id: 'bin', x: 85, y: 50, w: 16, h: 30 }] });
+    const orb = scene.objects[0];
+    orb.vx = 250;
+    orb.thrownBy = 0;
+
+    const events = simulate(scene, 2);
+    const drop = events.find(event => event.type === 'drop');
+
+    assert.ok(drop, 'dropped');
+    assert.equal(drop.hand, 0);
+    assert.equal(drop.thrown, true, 'reported where the object landed, not at the hand');
+    assert.equal(drop.zone.id, 'bin');
+    assert.equal(orb.inZone, true);
+    assert.equal(orb.x, 85);
+    assert.equal(orb.vx, 0);
+    assert.equal(scene.dropZones[0].count, 1);
+});
+
+test('zones that refuse an object bounce it back out', () => {
+    const scene = makeScene({ dropZones: [{ id: 'cubes', x: 85, y: 50, w: 16, h: 30, accepts: ['cube'] }] });
+    const orb = scene.objects[0];
+    orb.vx = 250;
+
+    simulate(scene, 2);
+
+    assert.equal(orb.inZone, false);
+    assert.ok(orb.x < 85 - 8, `x = ${orb.x}`);
+    assert.equal(scene.dropZones[0].count, 0);
+});
+
+test('physics can be switched off', () => {
+    const scene = makeScene();
+    const orb = scene.objects[0];
+    orb.vx = 100;
+
+    const options = mergeConfig(CONFIG.interaction, { physics: { enabled: false } });
+    assert.deepEqual(stepPhysics(scene, 0.033, options), []);
+    assert.equal(orb.x, 20);
+});
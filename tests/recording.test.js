@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRecording, RECORDING_VERSION } from '../src/tracker.js';
+import { createScene, assignHandSlots, processInteraction } from '../src/interaction.js';
+import { pointerHand } from './helpers/landmarks.js';
+
+const FRAME_MS = 33;
+
+// Two hands pinching the whole time, recorded at the default numHands: 2
+function twoHandRecording(frames = 10) {
+    return {
+        version: RECORDING_VERSION,
+        frames: Array.from({ length: frames }, (_, i) => ({
+            t: i * FRAME_MS,
+            hands: {
+                landmarks: [pointerHand(20, 20, { pinch: true }), pointerHand(70, 70, { pinch: true })],
+                handednesses: []
+            },
+            face: { faceLandmarks: [] }
+        }))
+    };
+}
+
+test('recordings are checked frame by frame', () => {
+    const recording = twoHandRecording(2);
+    assert.equal(parseRecording(recording), recording);
+
+    assert.throws(() => parseRecording({ version: 99, frames: [] }), /Unsupported recording/);
+    assert.throws(() => parseRecording({ version: RECORDING_VERSION }), /Unsupported recording/);
+
+    const broken = twoHandRecording(3);
+    broken.frames[1].hands.landmarks = [[{ x: 0.5, y: 0.5 }]];
+    assert.throws(() => parseRecording(broken), /frame 1 is malformed/);
+
+    const untimed = twoHandRecording(1);
+    delete untimed.frames[0].t;
+    assert.throws(() => parseRecording(untimed), /frame 0 is malformed/);
+});
+
+test('hands beyond the tracker\'s slots are left out of a replay', () => {
+    const scene = createScene({
+        objects: [{ id: 'obj-orb', type: 'orb', x: 20, y: 20 }],
+        viewport: { width: 1000, height: 1000 },
+        numHands: 1
+    });
+
+    // What processResults does with each replayed frame
+    for (const frame of parseRecording(twoHandRecording()).frames) {
+        const slots = assignHandSlots(scene.hands, frame.hands.landmarks, scene.mirror);
+        assert.deepEqual(slots, [0]);
+        slots.forEach((slot, i) => processInteraction(scene, slot, frame.hands.landmarks[i], frame.t));
+    }
+
+    assert.equal(scene.hands[0].grabbedObject, scene.objects[0]);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, mergeConfig } from '../src/config.js';
+import { createScene, processInteraction } from '../src/interaction.js';
+import { snapPosition } from '../src/snapping.js';
+import { pointerHand } from './helpers/landmarks.js';
+
+const FRAME_MS = 33;
+
+// A 1000px square viewport, so one percent is 10px: 60px grid cells, a 10px pull and guides within 30px
+const withSnap = snap => mergeConfig(CONFIG.interaction, { snap });
+const GRID = withSnap({ grid: true });
+const ALIGN = withSnap({ align: true });
+
+function makeScene(objects = [{ id: 'obj-orb', type: 'orb', x: 20, y: 20 }, { id: 'obj-cube', type: 'cube', x: 30, y: 70 }]) {
+    return createScene({ objects, dropZones: [], viewport: { width: 1000, height: 1000 } });
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('snapping is off by default', () => {
+    const scene = makeScene();
+    assert.deepEqual(snapPosition(scene, scene.objects[0], 12.5, 50), { x: 12.5, y: 50, guides: [] });
+});
+
+test('grid snapping pulls the center onto the nearest grid line', () => {
+    const scene = makeScene();
+    const { x, y, guides } = snapPosition(scene, scene.objects[0], 12.5, 50, GRID);
+
+    near(x, 12);
+    assert.equal(y, 50, 'too far from a line to snap');
+    assert.deepEqual(guides.map(guide => guide.axis), ['x', 'y']);
+    assert.equal(guides[0].strength, 1);
+    // 20px from the 480px line: halfway through the guide range
+    near(guides[1].at, 48);
+    near(guides[1].strength, 0.5);
+});
+
+test('alignment lines up centers with another object', () => {
+    const scene = makeScene();
+    const { x, y, guides } = snapPosition(scene, scene.objects[0], 30.6, 20, ALIGN);
+
+    near(x, 30);
+    assert.equal(y, 20);
+    assert.deepEqual(guides, [{ axis: 'x', at: 30, strength: 1 }]);
+});
+
+test('alignment puts edges flush against another object', () => {
+    const scene = makeScene();
+    const radius = CONFIG.interaction.objectRadius / 10;
+    // Our left edge lands 2px right of the cube's right edge
+    const { x, guides } = snapPosition(scene, scene.objects[0], 30 + 2 * radius + 0.2, 20, ALIGN);
+
+    near(x, 30 + 2 * radius);
+    near(guides[0].at, 30 + radius);
+});
+
+test('edges follow the other object\'s scale', () => {
+    const scene = makeScene();
+    scene.objects[1].scale = 2;
+    const radius = CONFIG.interaction.objectRadius / 10;
+
+    const { x } = snapPosition(scene, scene.objects[0], 30 + 3 * radius + 0.5, 20, ALIGN);
+    near(x, 30 + 3 * radius);
+});
+
+test('objects stored in a zone are not aligned with', () => {
+    const scene = makeScene();
+    scene.objects[1].inZone = true;
+
+    assert.deepEqual(snapPosition(scene, scene.objects[0], 30.6, 20, ALIGN).guides, []);
+});
+
+test('dragging snaps the held object and shows guides until it is let go', () => {
+    const scene = makeScene();
+    const [orb, cube] = scene.objects;
+    let t = 0;
+    const frame = (x, y, pinch) => {
+        t += FRAME_MS;
+        processInteraction(scene, 0, pointerHand(x, y, { pinch }), t, ALIGN);
+    };
+
+    for (let i = 0; i < 5; i++) frame(20, 20, true);
+    for (let i = 1; i <= 20; i++) frame(20 + 10.5 * i / 20, 20, true);
+    for (let i = 0; i < 30; i++) frame(30.5, 20, true);
+
+    assert.equal(orb.isGrabbed, true);
+    assert.equal(orb.x, cube.x);
+    assert.deepEqual(orb.guides, [{ axis: 'x', at: 30, strength: 1 }]);
+
+    for (let i = 0; i < 10; i++) frame(30.5, 20, false);
+    assert.equal(orb.isGrabbed, false);
+    assert.deepEqual(orb.guides, []);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, mergeConfig } from '../src/config.js';
+import {
+    TUNABLES,
+    readTuning,
+    tuningOverrides,
+    sanitizeTuning,
+    orderPinchThresholds,
+    loadPresets,
+    savePresets,
+    exportPreset,
+    parsePreset
+} from '../src/tuning.js';
+import { memoryStorage } from './helpers/storage.js';
+
+test('tuning reads every tunable out of the config', () => {
+    const values = readTuning(CONFIG);
+
+    assert.deepEqual(Object.keys(values), TUNABLES.map(tunable => tunable.key));
+    assert.equal(values.pinchThreshold, CONFIG.interaction.pinchThreshold);
+    assert.equal(values.beta, CONFIG.interaction.oneEuro.beta);
+});
+
+test('tuning values round-trip through config overrides', () => {
+    const overrides = tuningOverrides({ grabRadius: 120, minCutoff: 2 });
+    assert.deepEqual(overrides, { interaction: { grabRadius: 120, oneEuro: { minCutoff: 2 } } });
+
+    const config = mergeConfig(CONFIG, overrides);
+    assert.equal(readTuning(config).grabRadius, 120);
+    assert.equal(config.interaction.oneEuro.beta, CONFIG.interaction.oneEuro.beta);
+});
+
+test('sanitizeTuning drops unknown keys and clamps to the slider range', () => {
+    assert.deepEqual(
+        sanitizeTuning({ grabRadius: 9999, pinchThreshold: '0.07', beta: 'fast', numHands: 4 }),
+        { grabRadius: 250, pinchThreshold: 0.07 }
+    );
+    assert.throws(() => sanitizeTuning(null), /must be an object/);
+});
+
+test('the release threshold never drops below the pinch threshold', () => {
+    assert.deepEqual(
+        sanitizeTuning({ pinchThreshold: 0.12, pinchReleaseThreshold: 0.05 }),
+        { pinchThreshold: 0.12, pinchReleaseThreshold: 0.12 }
+    );
+
+    // Whichever slider moved last wins; the other follows it
+    const crossed = { pinchThreshold: 0.1, pinchReleaseThreshold: 0.06 };
+    assert.deepEqual(orderPinchThresholds(crossed, 'pinchThreshold'), { pinchThreshold: 0.1, pinchReleaseThreshold: 0.1 });
+    assert.deepEqual(orderPinchThresholds(crossed, 'pinchReleaseThreshold'), { pinchThreshold: 0.06, pinchReleaseThreshold: 0.06 });
+
+    const ordered = { pinchThreshold: 0.05, pinchReleaseThreshold: 0.07 };
+    assert.equal(orderPinchThresholds(ordered), ordered);
+    assert.deepEqual(orderPinchThresholds({ pinchThreshold: 0.1 }), { pinchThreshold: 0.1 });
+});
+
+test('presets persist in storage', () => {
+    const storage = memoryStorage();
+    assert.deepEqual(loadPresets(storage), { active: null, presets: {} });
+
+    const presets = { laptop: readTuning(CONFIG) };
+    savePresets(storage, { active: 'laptop', presets });
+
+    assert.deepEqual(loadPresets(storage), { active: 'laptop', presets });
+});
+
+test('unreadable stored presets are ignored', () => {
+    const storage = memoryStorage();
+    storage.setItem('spatial-tracker:tuning', '{not json');
+
+    assert.deepEqual(loadPresets(storage), { active: null, presets: {} });
+});
+
+test('exported presets import again', () => {
+    const values = readTuning(CONFIG);
+    assert.deepEqual(parsePreset(exportPreset('kiosk', values)), { name: 'kiosk', values });
+
+    assert.throws(() => parsePreset('{"version": 99, "name": "x", "values": {}}'), /Unsupported preset version/);
+    assert.throws(() => parsePreset('{"version": 1, "values": {}}'), /no name/);
+});